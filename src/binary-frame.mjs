@@ -0,0 +1,89 @@
+import errorCodes from './constants/error-codes.mjs'
+import { knownDeviceTags } from './constants/tags.mjs'
+import ValidationError from './errors/validation-error.mjs'
+
+/*
+ * Binary frames start with a fixed header so the relay can route them without decoding the body.
+ * All integers are big-endian.
+ *
+ *   offset  size  field
+ *   0       1     header version, always 1
+ *   1       1     recipient device type (0 = pc, 1 = tablet)
+ *   2       4     recipient ID, or 0xFFFFFFFF for every socket of that type
+ *   6       1     sender device type, filled in by the relay
+ *   7       4     sender ID, filled in by the relay
+ *   11      ...   body, relayed untouched
+ */
+const HEADER_VERSION = 1
+const HEADER_LENGTH = 11
+const ANY_ID = 0xFFFFFFFF
+
+const deviceTypeCodes = [knownDeviceTags.PC, knownDeviceTags.TABLET]
+
+/**
+ * Writes a binary frame header followed by the body.
+ * @param {{type: string, id?: number}} recipient The addressee; without an ID, every socket of its type.
+ * @param {{type: string, id: number}} sender The sender, or zeroes to let the relay fill it in.
+ * @param {Uint8Array} body The frame body.
+ * @returns {Uint8Array}
+ */
+const encodeBinaryFrame = (recipient, sender, body) => {
+  const frame = new Uint8Array(HEADER_LENGTH + body.byteLength)
+  const view = new DataView(frame.buffer)
+  view.setUint8(0, HEADER_VERSION)
+  view.setUint8(1, deviceTypeCodes.indexOf(recipient.type))
+  view.setUint32(2, recipient.id ?? ANY_ID)
+  view.setUint8(6, Math.max(deviceTypeCodes.indexOf(sender.type), 0))
+  view.setUint32(7, sender.id ?? 0)
+  frame.set(body, HEADER_LENGTH)
+  return frame
+}
+
+/**
+ * Reads the recipient from the header of a binary frame.
+ * @param {ArrayBuffer} frame The raw frame.
+ * @returns {{type: string, id?: number}} The addressee; without an ID, every socket of its type.
+ */
+const decodeBinaryRecipient = (frame) => {
+  if (frame.byteLength < HEADER_LENGTH) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, `Binary frames need a ${HEADER_LENGTH} byte header`)
+  }
+  const view = new DataView(frame)
+  if (view.getUint8(0) !== HEADER_VERSION) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, `Unsupported binary header version ${view.getUint8(0)}`)
+  }
+  const type = deviceTypeCodes[view.getUint8(1)]
+  if (type === undefined) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, `Unknown recipient type code ${view.getUint8(1)}`)
+  }
+  const id = view.getUint32(2)
+  return id === ANY_ID ? { type } : { type, id }
+}
+
+/**
+ * Copies a binary frame with the sender fields of its header filled in.
+ * @param {ArrayBuffer} frame The raw frame as sent by the client.
+ * @param {{type: string, id: number}} sender The socket that sent the frame.
+ * @returns {Uint8Array}
+ */
+const stampBinarySender = (frame, sender) => {
+  const stamped = new Uint8Array(frame.slice(0))
+  const view = new DataView(stamped.buffer)
+  view.setUint8(6, deviceTypeCodes.indexOf(sender.type))
+  view.setUint32(7, sender.id)
+  return stamped
+}
+
+/**
+ * Returns the body of a binary frame, without its header.
+ * @param {ArrayBuffer} frame The raw frame.
+ * @returns {Uint8Array}
+ */
+const getBinaryBody = (frame) => new Uint8Array(frame, HEADER_LENGTH)
+
+export {
+  decodeBinaryRecipient,
+  encodeBinaryFrame,
+  getBinaryBody,
+  stampBinarySender
+}
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest'
+
+import { decodeBinaryRecipient, encodeBinaryFrame, getBinaryBody, stampBinarySender } from './binary-frame.mjs'
+import errorCodes from './constants/error-codes.mjs'
+import { deviceTags } from './constants/tags.mjs'
+import ValidationError from './errors/validation-error.mjs'
+
+const body = new Uint8Array([1, 2, 3])
+
+describe('binary frames', () => {
+  it('should round-trip a private recipient', () => {
+    const frame = encodeBinaryFrame({ type: deviceTags.TABLET, id: 7 }, {}, body)
+    expect(decodeBinaryRecipient(frame.buffer)).toEqual({ type: deviceTags.TABLET, id: 7 })
+    expect(getBinaryBody(frame.buffer)).toEqual(body)
+  })
+
+  it('should address every socket of a type when no ID is given', () => {
+    const frame = encodeBinaryFrame({ type: deviceTags.PC }, {}, body)
+    expect(decodeBinaryRecipient(frame.buffer)).toEqual({ type: deviceTags.PC })
+  })
+
+  it('should fill in the sender without touching the original frame', () => {
+    const frame = encodeBinaryFrame({ type: deviceTags.PC }, {}, body)
+    const stamped = stampBinarySender(frame.buffer, { type: deviceTags.TABLET, id: 3 })
+    const expected = encodeBinaryFrame({ type: deviceTags.PC }, { type: deviceTags.TABLET, id: 3 }, body)
+    expect(stamped).toEqual(expected)
+    expect(frame).toEqual(encodeBinaryFrame({ type: deviceTags.PC }, {}, body))
+  })
+
+  it.each([
+    ['too short for a header', new Uint8Array(4)],
+    ['of an unknown header version', new Uint8Array([9, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0])],
+    ['addressed to an unknown type', new Uint8Array([1, 9, 0, 0, 0, 0, 0, 0, 0, 0, 0])]
+  ])('should reject a frame %s', (_, frame) => {
+    expect(() => decodeBinaryRecipient(frame.buffer)).toThrow(ValidationError)
+    try {
+      decodeBinaryRecipient(frame.buffer)
+    } catch (e) {
+      expect(e.code).toBe(errorCodes.INVALID_MESSAGE)
+    }
+  })
+})
@@ -0,0 +1,16 @@
+const capabilities = Object.freeze({
+  // Raw binary frames and MessagePack envelopes
+  BINARY: 'binary',
+  // Relay acknowledgements for messages sent with `ack: true`
+  ACKS: 'acks',
+  // Store-and-forward for messages sent with `queue: true`
+  QUEUEING: 'queueing',
+  // Opaque end-to-end encrypted envelopes
+  ENCRYPTION: 'encryption',
+  // Join and leave events for clients that connect with `presence=true`
+  PRESENCE: 'presence',
+  // Correlated `request` and `response` messages with timeouts
+  REQUESTS: 'requests'
+})
+
+export default capabilities
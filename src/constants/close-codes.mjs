@@ -0,0 +1,9 @@
+// Application-specific WebSocket close codes, from the 4000-4999 private use range.
+const closeCodes = Object.freeze({
+  JOIN_DENIED: 4003,
+  IDLE_TIMEOUT: 4008,
+  SUPERSEDED: 4009,
+  RATE_LIMITED: 4029
+})
+
+export default closeCodes
@@ -0,0 +1,6 @@
+const encodings = Object.freeze({
+  JSON: 'json',
+  MSGPACK: 'msgpack'
+})
+
+export default encodings
@@ -0,0 +1,23 @@
+const errorCodes = Object.freeze({
+  INVALID_JSON: 'invalid_json',
+  INVALID_MSGPACK: 'invalid_msgpack',
+  INVALID_MESSAGE: 'invalid_message',
+  INVALID_PAYLOAD: 'invalid_payload',
+  FRAME_TOO_LARGE: 'frame_too_large',
+  UNKNOWN_RECIPIENT: 'unknown_recipient',
+  UNKNOWN_COMMAND: 'unknown_command',
+  FORBIDDEN_COMMAND: 'forbidden_command',
+  NOT_APPROVED: 'not_approved',
+  READ_ONLY: 'read_only',
+  INVALID_OPTIONS: 'invalid_options',
+  UNSUPPORTED_PROTOCOL: 'unsupported_protocol',
+  INVALID_PUBLIC_KEY: 'invalid_public_key',
+  RATE_LIMITED: 'rate_limited',
+  UNKNOWN_REQUEST: 'unknown_request',
+  TOO_MANY_REQUESTS: 'too_many_requests',
+  TIMEOUT: 'timeout',
+  PEER_GONE: 'peer_gone',
+  INTERNAL_ERROR: 'internal_error'
+})
+
+export default errorCodes
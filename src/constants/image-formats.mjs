@@ -0,0 +1,6 @@
+const imageFormats = Object.freeze({
+  SVG: 'svg',
+  PNG: 'png'
+})
+
+export default imageFormats
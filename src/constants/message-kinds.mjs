@@ -0,0 +1,7 @@
+// The kinds of relay messages the relay correlates, set in their `kind` field.
+const messageKinds = Object.freeze({
+  REQUEST: 'request',
+  RESPONSE: 'response'
+})
+
+export default messageKinds
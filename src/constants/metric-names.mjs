@@ -0,0 +1,11 @@
+const metricNames = Object.freeze({
+  MESSAGES_RELAYED: 'relay_messages_relayed_total',
+  MESSAGES_DROPPED: 'relay_messages_dropped_total',
+  BYTES_RECEIVED: 'relay_bytes_received_total',
+  BYTES_SENT: 'relay_bytes_sent_total',
+  COMMANDS: 'relay_commands_total',
+  CONNECTIONS: 'relay_connections_total',
+  CONNECTIONS_REJECTED: 'relay_connections_rejected_total'
+})
+
+export default metricNames
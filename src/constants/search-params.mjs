@@ -1,5 +1,12 @@
 const searchParams = Object.freeze({
-  TOKEN: 'token'
+  TOKEN: 'token',
+  RESUME: 'resume',
+  ENCODING: 'encoding',
+  PUBLIC_KEY: 'publicKey',
+  PRESENCE: 'presence',
+  FORMAT: 'format',
+  AFTER: 'after',
+  LIMIT: 'limit'
 })
 
 export default searchParams
@@ -0,0 +1,7 @@
+// What happens when a second PC connects while one is already connected.
+const singletonPolicies = Object.freeze({
+  REJECT: 'reject',
+  TAKEOVER: 'takeover'
+})
+
+export default singletonPolicies
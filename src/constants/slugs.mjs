@@ -3,7 +3,23 @@ const slugs = Object.freeze({
   COLON_ID: ':id',
   CONNECT: 'connect',
   INITIATE: 'initiate',
-  JOIN: 'join'
+  JOIN: 'join',
+  STATUS: 'status',
+  WATCH: 'watch',
+  PAIR: 'pair',
+  COLON_CODE: ':code',
+  QR: 'qr',
+  TRANSCRIPT: 'transcript',
+  METRICS: 'metrics',
+  ADMIN: 'admin',
+  SESSIONS: 'sessions',
+  // Internal paths, only reachable from the Worker
+  REGISTER: 'register',
+  CLAIM: 'claim',
+  TABLET_TOKEN: 'tablet-token',
+  REPORT: 'report',
+  UPDATE: 'update',
+  REMOVE: 'remove'
 })
 
 export default slugs
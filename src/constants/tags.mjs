@@ -5,33 +5,90 @@ const knownDeviceTags = Object.freeze({
 
 const websocketTags = Object.freeze({
   TYPE: 'type',
-  ID: 'id'
+  ID: 'id',
+  ENCODING: 'encoding',
+  PROTOCOL: 'protocol',
+  PRESENCE: 'presence'
 })
 
 const deviceTags = Object.freeze({
   UNKNOWN: 'unknown',
+  // Observers only ever receive mirrored traffic, so they cannot be addressed directly.
+  OBSERVER: 'observer',
   ...knownDeviceTags
 })
 
 const labels = Object.freeze({
   TABLET_ID_COUNTER: 'tabletIdCounter',
   TABLET_CONNECTED: `${deviceTags.TABLET}_connected`,
+  TABLET_RECONNECTED: `${deviceTags.TABLET}_reconnected`,
+  TABLET_RESUME_TOKENS: 'tabletResumeTokens',
+  TABLET_RECONNECT_DEADLINE: 'tabletReconnectDeadline',
+  TABLET_SUPERSEDED: 'Superseded by a resumed connection',
+  TABLET_JOIN_REQUEST: `${deviceTags.TABLET}_join_request`,
+  APPROVAL_PENDING: 'approval_pending',
+  AWAITING_APPROVAL: 'Awaiting approval',
+  JOIN_DENIED: 'Join request denied',
+  APPROVAL_TIMED_OUT: 'Approval timed out',
+  MESSAGE_QUEUE_PREFIX: 'messageQueue:',
+  PENDING_REQUESTS: 'pendingRequests',
   // Generic session management labels
+  CREATED_AT: 'createdAt',
+  SESSION_ID: 'sessionId',
+  SESSION_OPTIONS: 'sessionOptions',
   TABLET_CONNECTION_TOKEN: 'tabletConnectionToken',
+  TABLET_TOKEN_EXPIRES_AT: 'tabletTokenExpiresAt',
+  TABLET_TOKEN: `${deviceTags.TABLET}_token`,
+  OBSERVER_CONNECTION_TOKEN: 'observerConnectionToken',
+  OBSERVER_TOKEN_EXPIRES_AT: 'observerTokenExpiresAt',
+  OBSERVER_ID_COUNTER: 'observerIdCounter',
   PC_CONNECTION_TOKEN: 'pcConnectionToken',
+  PC_TOKEN_EXPIRES_AT: 'pcTokenExpiresAt',
+  PC_RESUME_TOKEN: 'pcResumeToken',
+  PC_PUBLIC_KEY: 'pcPublicKey',
+  PC_CONNECTED: `${deviceTags.PC}_connected`,
+  PC_RECONNECT_DEADLINE: 'pcReconnectDeadline',
+  PC_RECONNECTING: `${deviceTags.PC}_reconnecting`,
+  PC_RECONNECTED: `${deviceTags.PC}_reconnected`,
+  PC_SUPERSEDED: 'Superseded by a new pc connection',
+  PC_RECONNECT_TIMED_OUT: `${deviceTags.PC} did not reconnect in time`,
   SESSION_CLOSED_BY_CLIENT_PREFIX: 'Session closed by',
   SESSION_CLOSED_BY_CLIENT_REQUEST: 'Session closed by client request',
+  SESSION_CLOSED_BY_REVOCATION: 'Session closed by revocation',
+  SESSION_REVOKED: 'Session revoked',
+  REVOKED_AT: 'revokedAt',
+  METRICS: 'metrics',
   LAST_TABLET_DISCONNECTED: 'Last tablet disconnected',
+  LAST_TABLET_RECONNECT_TIMED_OUT: 'Last tablet did not reconnect in time',
   // System messages and types
   SYSTEM: 'system',
+  ERROR: 'error',
   CONNECTION_ESTABLISHED: 'Connection established',
   INITIALIZATION_SUCCESSFUL: 'Initialization successful',
   EXPECTED_WEBSOCKET: 'Expected WebSocket',
   INVALID_TOKEN: 'Invalid token',
+  TOKEN_EXPIRED: 'Token expired',
+  RATE_LIMIT_EXCEEDED: 'Rate limit exceeded',
+  IDLE_TIMEOUT: 'Idle timeout',
+  SESSION_NOT_FOUND: 'Session not found',
+  SESSION_FULL: 'Session is full',
+  UNKNOWN_ENDPOINT: 'Unknown endpoint',
   PARTICIPANTS_LIST: 'participants_list',
+  // Addresses a relay message to every pc and tablet
+  EVERYONE: '*',
+  PARTICIPANT_JOINED: 'participant_joined',
+  PARTICIPANT_LEFT: 'participant_left',
+  PING: 'ping',
+  PONG: 'pong',
+  ACK: 'ack',
   PC_TYPE: `${websocketTags.TYPE}:${deviceTags.PC}`,
   TABLET_TYPE: `${websocketTags.TYPE}:${deviceTags.TABLET}`,
+  OBSERVER_TYPE: `${websocketTags.TYPE}:${deviceTags.OBSERVER}`,
+  PRESENCE_SUBSCRIBER: `${websocketTags.PRESENCE}:true`,
   GET_PARTICIPANTS_CMD: 'get_participants',
+  REFRESH_TABLET_TOKEN_CMD: 'refresh_tablet_token',
+  APPROVE_CMD: 'approve',
+  DENY_CMD: 'deny',
   CLOSE_CMD: 'close'
 })
 
@@ -0,0 +1,6 @@
+const transcriptFormats = Object.freeze({
+  JSONL: 'jsonl',
+  TEXT: 'text'
+})
+
+export default transcriptFormats
@@ -0,0 +1,8 @@
+class SessionFull extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'SessionFull'
+  }
+}
+
+export default SessionFull
@@ -0,0 +1,8 @@
+class SessionNotFound extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'SessionNotFound'
+  }
+}
+
+export default SessionNotFound
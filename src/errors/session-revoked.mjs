@@ -0,0 +1,8 @@
+class SessionRevoked extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'SessionRevoked'
+  }
+}
+
+export default SessionRevoked
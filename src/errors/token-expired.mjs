@@ -0,0 +1,8 @@
+class TokenExpired extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'TokenExpired'
+  }
+}
+
+export default TokenExpired
@@ -0,0 +1,13 @@
+class ValidationError extends Error {
+  /**
+   * @param {string} code A machine-readable error code, one of `errorCodes`.
+   * @param {string} message A human-readable description of the problem.
+   */
+  constructor (code, message) {
+    super(message)
+    this.name = 'ValidationError'
+    this.code = code
+  }
+}
+
+export default ValidationError
@@ -2,18 +2,153 @@ import { Hono } from 'hono'
 import { logger } from 'hono/logger'
 import { getMimeType } from 'hono/utils/mime'
 import HttpMethods from 'http-methods-constants'
+import { ReasonPhrases, StatusCodes } from 'http-status-codes'
 
+import errorCodes from './constants/error-codes.mjs'
 import slugs from './constants/slugs.mjs'
+import ValidationError from './errors/validation-error.mjs'
+import { MetricsAggregator } from './metrics-aggregator.mjs'
+import { PairingCodeRegistry } from './pairing-code-registry.mjs'
+import parseEnvInteger from './parse-env-integer.mjs'
+import { RateLimiter } from './rate-limiter.mjs'
 import { RelaySession } from './relay-session.mjs'
+import { resolveSessionOptions } from './session-options.mjs'
+import { notifySessionRegistry, SessionRegistry } from './session-registry.mjs'
 import getNewToken from './token-generator.mjs'
 
 const app = new Hono()
 app.use(logger())
 
+/**
+ * Forwards the raw request to the Durable Object of the session named in the path.
+ * @param {import('hono').Context} c The Hono context of a `/session/:id/...` route.
+ * @returns {Promise<Response>}
+ */
+const forwardToSession = async (c) => {
+  // IMPORTANT: Just forward the raw request - NO upgrade check here!
+  const { id } = c.req.param()
+  const { RELAY_SESSION } = c.env
+  const sessionIdFromName = RELAY_SESSION.idFromName(id)
+  const sessionStub = RELAY_SESSION.get(sessionIdFromName)
+
+  // Forward the COMPLETE original request
+  return sessionStub.fetch(c.req.raw)
+}
+
+/**
+ * Makes a middleware limiting how often each client IP may call a route, using a token bucket
+ * kept in a RateLimiter Durable Object named after the route and the IP.
+ * @param {string} name The name of the limited action, which keeps its buckets apart from other actions.
+ * @param {string} burstVar The env var holding the burst size.
+ * @param {string} perMinuteVar The env var holding the average calls per minute.
+ * @param {number} fallback The burst size and calls per minute used when the env vars are unset.
+ * @returns {import('hono').MiddlewareHandler}
+ */
+const limitPerClientIp = (name, burstVar, perMinuteVar, fallback) => async (c, next) => {
+  const { RATE_LIMITER } = c.env
+  const clientIp = c.req.header('CF-Connecting-IP') ?? 'unknown'
+
+  const limiterStub = RATE_LIMITER.get(RATE_LIMITER.idFromName(`${name}:${clientIp}`))
+  const limitRequest = new Request(c.req.url, {
+    method: HttpMethods.POST,
+    headers: { 'Content-Type': getMimeType('json') },
+    body: JSON.stringify({
+      capacity: parseEnvInteger(c.env[burstVar], fallback),
+      // A bucket that never refills would have no retry time, so at least one call per minute is let through.
+      refillPerSecond: Math.max(parseEnvInteger(c.env[perMinuteVar], fallback), 1) / 60
+    })
+  })
+  const { allowed, retryAfter } = await (await limiterStub.fetch(limitRequest)).json()
+
+  if (!allowed) {
+    return c.text(ReasonPhrases.TOO_MANY_REQUESTS, StatusCodes.TOO_MANY_REQUESTS, { 'Retry-After': String(retryAfter) })
+  }
+  await next()
+}
+
+const limitSessionCreation = limitPerClientIp(slugs.INITIATE, 'SESSION_CREATION_BURST', 'SESSION_CREATION_PER_MINUTE', 5)
+
+// Guessing a pairing code takes up to a million tries, so a few attempts per minute make it impractical.
+const limitPairingAttempts = limitPerClientIp(slugs.PAIR, 'PAIRING_ATTEMPT_BURST', 'PAIRING_ATTEMPTS_PER_MINUTE', 10)
+
+/**
+ * Lets a request through only if it carries the `ADMIN_SECRET` as a bearer token.
+ * Without an `ADMIN_SECRET`, the admin endpoints do not exist.
+ * @type {import('hono').MiddlewareHandler}
+ */
+const requireAdmin = async (c, next) => {
+  const { ADMIN_SECRET } = c.env
+  if (!ADMIN_SECRET) {
+    return c.text(ReasonPhrases.NOT_FOUND, StatusCodes.NOT_FOUND)
+  }
+  if (c.req.header('Authorization') !== `Bearer ${ADMIN_SECRET}`) {
+    return c.text(ReasonPhrases.UNAUTHORIZED, StatusCodes.UNAUTHORIZED, { 'WWW-Authenticate': 'Bearer' })
+  }
+  await next()
+}
+
+/**
+ * Gets the single registry of pairing codes.
+ * @param {import('hono').Context} c The Hono context.
+ * @returns {DurableObjectStub<PairingCodeRegistry>}
+ */
+const getPairingCodeRegistry = (c) => {
+  const { PAIRING_CODES } = c.env
+  return PAIRING_CODES.get(PAIRING_CODES.idFromName(slugs.PAIR))
+}
+
+/**
+ * Gets the single registry of sessions.
+ * @param {import('hono').Context} c The Hono context.
+ * @returns {DurableObjectStub<SessionRegistry>}
+ */
+const getSessionRegistry = (c) => {
+  const { SESSION_REGISTRY } = c.env
+  return SESSION_REGISTRY.get(SESSION_REGISTRY.idFromName(slugs.SESSIONS))
+}
+
+/**
+ * Sends a request to the internal admin endpoint of the session named in the path.
+ * @param {import('hono').Context} c The Hono context of an `/admin/sessions/:id` route.
+ * @returns {Promise<Response>}
+ */
+const forwardToSessionAdmin = async (c) => {
+  const { RELAY_SESSION } = c.env
+  const { id } = c.req.param()
+  const sessionStub = RELAY_SESSION.get(RELAY_SESSION.idFromName(id))
+  return sessionStub.fetch(new Request(new URL(`/${slugs.SESSION}/${id}/${slugs.ADMIN}`, c.req.url), { method: c.req.method }))
+}
+
+/**
+ * Reads the optional JSON options body of `POST /session/initiate` and checks it against the server-side bounds.
+ * @param {import('hono').Context} c The Hono context of the initiate route.
+ * @returns {Promise<import('./session-options.mjs').SessionOptions>}
+ */
+const readSessionOptions = async (c) => {
+  const body = await c.req.text()
+  let requested
+  try {
+    requested = body ? JSON.parse(body) : {}
+  } catch {
+    throw new ValidationError(errorCodes.INVALID_JSON, 'Session options must be valid JSON')
+  }
+  return resolveSessionOptions(requested, c.env)
+}
+
 // 1. Endpoint for Plover (PC) to create a new session
-app.post(`/${slugs.SESSION}/${slugs.INITIATE}`, async (c) => {
+app.post(`/${slugs.SESSION}/${slugs.INITIATE}`, limitSessionCreation, async (c) => {
   const { RELAY_SESSION } = c.env
 
+  let options
+  try {
+    options = await readSessionOptions(c)
+  } catch (e) {
+    if (e instanceof ValidationError) {
+      return c.json({ code: e.code, message: e.message }, StatusCodes.BAD_REQUEST)
+    }
+    throw e
+  }
+
   const sessionId = crypto.randomUUID()
 
   // Use .map() which returns a new array, instead of .forEach() which returns undefined.
@@ -26,9 +161,28 @@ app.post(`/${slugs.SESSION}/${slugs.INITIATE}`, async (c) => {
   const initRequest = new Request(c.req.url, {
     method: HttpMethods.POST,
     headers: { 'Content-Type': getMimeType('json') },
-    body: JSON.stringify({ tabletConnectionToken, pcConnectionToken })
+    body: JSON.stringify({ tabletConnectionToken, pcConnectionToken, options, sessionId })
   })
-  await sessionStub.fetch(initRequest)
+  const {
+    tabletConnectionTokenExpiresAt,
+    pcConnectionTokenExpiresAt,
+    observerConnectionToken,
+    observerConnectionTokenExpiresAt
+  } = await (await sessionStub.fetch(initRequest)).json()
+
+  const registerRequest = new Request(new URL(`/${slugs.REGISTER}`, c.req.url), {
+    method: HttpMethods.POST,
+    headers: { 'Content-Type': getMimeType('json') },
+    body: JSON.stringify({
+      sessionId,
+      ttlSeconds: parseEnvInteger(c.env.PAIRING_CODE_TTL_SECONDS, 120),
+      digits: parseEnvInteger(c.env.PAIRING_CODE_DIGITS, 6)
+    })
+  })
+  const { code: pairingCode, expiresAt: pairingCodeExpiresAt } = await (await getPairingCodeRegistry(c).fetch(registerRequest)).json()
+
+  // The session works without the registry, so a failure here must not keep the tokens from the client.
+  await notifySessionRegistry(c.env.SESSION_REGISTRY, slugs.REGISTER, { sessionId, createdAt: Date.now() }, '[Worker]')
 
   const workerUrl = new URL(c.req.url)
 
@@ -36,33 +190,106 @@ app.post(`/${slugs.SESSION}/${slugs.INITIATE}`, async (c) => {
     protocol: workerUrl.protocol.replace('http', 'ws'),
     sessionId,
     tabletConnectionToken,
-    pcConnectionToken
+    tabletConnectionTokenExpiresAt,
+    pcConnectionToken,
+    pcConnectionTokenExpiresAt,
+    observerConnectionToken,
+    observerConnectionTokenExpiresAt,
+    pairingCode,
+    pairingCodeExpiresAt
   })
 })
 
 // 2. WebSocket endpoint for the Tablet to JOIN
-app.get(`/${slugs.SESSION}/${slugs.COLON_ID}/${slugs.JOIN}`, async (c) => {
-  // IMPORTANT: Just forward the raw request - NO upgrade check here!
-  const { id } = c.req.param()
+app.get(`/${slugs.SESSION}/${slugs.COLON_ID}/${slugs.JOIN}`, forwardToSession)
+
+// 3. WebSocket endpoint for the PC to CONNECT
+app.get(`/${slugs.SESSION}/${slugs.COLON_ID}/${slugs.CONNECT}`, forwardToSession)
+
+// 4. Read-only WebSocket endpoint for OBSERVERS such as caption displays
+app.get(`/${slugs.SESSION}/${slugs.COLON_ID}/${slugs.WATCH}`, forwardToSession)
+
+// 5. Session status for the PC, authenticated with the PC token
+app.get(`/${slugs.SESSION}/${slugs.COLON_ID}/${slugs.STATUS}`, forwardToSession)
+
+// 6. QR code of the tablet join URL for the PC, authenticated with the PC token
+app.get(`/${slugs.SESSION}/${slugs.COLON_ID}/${slugs.QR}`, forwardToSession)
+
+// 7. Transcript export for the PC, authenticated with the PC token
+app.get(`/${slugs.SESSION}/${slugs.COLON_ID}/${slugs.TRANSCRIPT}`, forwardToSession)
+
+// 8. Traffic counters of a session, for admins
+app.get(`/${slugs.SESSION}/${slugs.COLON_ID}/${slugs.METRICS}`, requireAdmin, forwardToSession)
+
+// 9. Session revocation by the PC, authenticated with the PC token
+app.delete(`/${slugs.SESSION}/${slugs.COLON_ID}`, forwardToSession)
+
+// 10. Swap a pairing code for the session ID and the current tablet token
+app.post(`/${slugs.PAIR}/${slugs.COLON_CODE}`, limitPairingAttempts, async (c) => {
   const { RELAY_SESSION } = c.env
-  const sessionIdFromName = RELAY_SESSION.idFromName(id)
-  const sessionStub = RELAY_SESSION.get(sessionIdFromName)
+  const { code } = c.req.param()
+  if (!/^\d{6,8}$/.test(code)) {
+    return c.text(ReasonPhrases.NOT_FOUND, StatusCodes.NOT_FOUND)
+  }
 
-  // Forward the COMPLETE original request
-  return sessionStub.fetch(c.req.raw)
+  const claimRequest = new Request(new URL(`/${slugs.CLAIM}`, c.req.url), {
+    method: HttpMethods.POST,
+    headers: { 'Content-Type': getMimeType('json') },
+    body: JSON.stringify({ code })
+  })
+  const claimResponse = await getPairingCodeRegistry(c).fetch(claimRequest)
+  if (claimResponse.status === StatusCodes.TOO_MANY_REQUESTS) {
+    return c.text(ReasonPhrases.TOO_MANY_REQUESTS, StatusCodes.TOO_MANY_REQUESTS, { 'Retry-After': claimResponse.headers.get('Retry-After') })
+  }
+  if (!claimResponse.ok) {
+    return c.text(ReasonPhrases.NOT_FOUND, StatusCodes.NOT_FOUND)
+  }
+  const { sessionId } = await claimResponse.json()
+
+  const sessionStub = RELAY_SESSION.get(RELAY_SESSION.idFromName(sessionId))
+  const tokenRequest = new Request(new URL(`/${slugs.SESSION}/${sessionId}/${slugs.TABLET_TOKEN}`, c.req.url))
+  const tokenResponse = await sessionStub.fetch(tokenRequest)
+  if (!tokenResponse.ok) {
+    // The session was revoked or never initialized after the code was issued
+    return c.text(await tokenResponse.text(), tokenResponse.status)
+  }
+  const { tabletConnectionToken, tabletConnectionTokenExpiresAt } = await tokenResponse.json()
+
+  return c.json({
+    protocol: new URL(c.req.url).protocol.replace('http', 'ws'),
+    sessionId,
+    tabletConnectionToken,
+    tabletConnectionTokenExpiresAt
+  })
 })
 
-// 3. WebSocket endpoint for the PC to CONNECT
-app.get(`/${slugs.SESSION}/${slugs.COLON_ID}/${slugs.CONNECT}`, async (c) => {
-  // IMPORTANT: Just forward the raw request - NO upgrade check here!
-  const { id } = c.req.param()
-  const { RELAY_SESSION } = c.env
-  const sessionIdFromName = RELAY_SESSION.idFromName(id)
-  const sessionStub = RELAY_SESSION.get(sessionIdFromName)
+// 11. Traffic counters of all sessions in the Prometheus text format, for admins
+app.get(`/${slugs.METRICS}`, requireAdmin, async (c) => {
+  const { METRICS_AGGREGATOR } = c.env
+  const aggregator = METRICS_AGGREGATOR.get(METRICS_AGGREGATOR.idFromName(slugs.METRICS))
+  return aggregator.fetch(c.req.raw)
+})
 
-  // Forward the COMPLETE original request
-  return sessionStub.fetch(c.req.raw)
+// 12. Every known session, newest first, for admins
+app.get(`/${slugs.ADMIN}/${slugs.SESSIONS}`, requireAdmin, async (c) => {
+  return getSessionRegistry(c).fetch(c.req.raw)
+})
+
+// 13. One session as the registry knows it, with its live status, for admins
+app.get(`/${slugs.ADMIN}/${slugs.SESSIONS}/${slugs.COLON_ID}`, requireAdmin, async (c) => {
+  const detailsResponse = await forwardToSessionAdmin(c)
+  if (!detailsResponse.ok) {
+    return c.text(await detailsResponse.text(), detailsResponse.status)
+  }
+  const registryResponse = await getSessionRegistry(c).fetch(c.req.raw)
+  return c.json({
+    ...await detailsResponse.json(),
+    registry: registryResponse.ok ? await registryResponse.json() : null
+  })
 })
 
-export { RelaySession }
+// 14. Force-close a session for good, for admins
+app.delete(`/${slugs.ADMIN}/${slugs.SESSIONS}/${slugs.COLON_ID}`, requireAdmin, forwardToSessionAdmin)
+
+export { MetricsAggregator, PairingCodeRegistry, RateLimiter, RelaySession, SessionRegistry }
 export default app
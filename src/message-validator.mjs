@@ -0,0 +1,226 @@
+import errorCodes from './constants/error-codes.mjs'
+import messageKinds from './constants/message-kinds.mjs'
+import { knownDeviceTags, labels } from './constants/tags.mjs'
+import ValidationError from './errors/validation-error.mjs'
+
+/**
+ * A small subset of JSON Schema: `type`, `required`, `properties`, `items`, `maxLength`, `maxItems` and `enum`.
+ * @typedef {object} PayloadSchema
+ * @property {'string' | 'number' | 'integer' | 'boolean' | 'array' | 'object'} [type]
+ * @property {Array<string>} [required]
+ * @property {Object<string, PayloadSchema>} [properties]
+ * @property {PayloadSchema} [items]
+ * @property {number} [maxLength]
+ * @property {number} [maxItems]
+ * @property {Array<*>} [enum]
+ */
+
+/**
+ * Schemas for the payloads of known message types, keyed by `payload.type`.
+ * @type {Map<string, PayloadSchema>}
+ */
+const payloadSchemas = new Map()
+
+/**
+ * Registers the schema relay payloads of the given type must match.
+ * @param {string} type The value of `payload.type` the schema applies to.
+ * @param {PayloadSchema} schema The schema.
+ */
+const registerPayloadSchema = (type, schema) => {
+  payloadSchemas.set(type, schema)
+}
+
+registerPayloadSchema('stroke', {
+  type: 'object',
+  required: ['stroke'],
+  properties: {
+    stroke: { type: 'string', maxLength: 256 },
+    keys: { type: 'array', maxItems: 64, items: { type: 'string', maxLength: 8 } }
+  }
+})
+
+const MAX_REQUEST_ID_LENGTH = 128
+
+const typeCheckers = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Checks a value against a schema.
+ * @param {*} value The value to check.
+ * @param {PayloadSchema} schema The schema to check it against.
+ * @param {string} path Where the value sits in the payload, for the error message.
+ * @returns {string | null} A description of the first problem found, or null if the value matches.
+ */
+const findSchemaViolation = (value, schema, path) => {
+  if (schema.type && !typeCheckers[schema.type](value)) {
+    return `${path} must be of type ${schema.type}`
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of ${schema.enum.join(', ')}`
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `${path} must be at most ${schema.maxLength} characters long`
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    return `${path} must have at most ${schema.maxItems} items`
+  }
+  const missing = schema.required?.find(key => value[key] === undefined)
+  if (missing !== undefined) {
+    return `${path}.${missing} is required`
+  }
+  for (const [key, propertySchema] of Object.entries(schema.properties ?? {})) {
+    if (value[key] !== undefined) {
+      const violation = findSchemaViolation(value[key], propertySchema, `${path}.${key}`)
+      if (violation) return violation
+    }
+  }
+  if (schema.items) {
+    for (const [index, item] of value.entries()) {
+      const violation = findSchemaViolation(item, schema.items, `${path}[${index}]`)
+      if (violation) return violation
+    }
+  }
+  return null
+}
+
+/**
+ * Measures a frame as it went over the wire.
+ * @param {string | ArrayBuffer | Uint8Array} message The raw frame. Text frames are measured in UTF-8.
+ * @returns {number} The size of the frame in bytes.
+ */
+const getFrameBytes = (message) => typeof message === 'string'
+  ? new TextEncoder().encode(message).byteLength
+  : message.byteLength
+
+/**
+ * Rejects frames larger than the given size.
+ * @param {string | ArrayBuffer} message The raw frame.
+ * @param {number} maxFrameBytes The largest frame allowed, in bytes.
+ */
+const validateFrameSize = (message, maxFrameBytes) => {
+  const frameBytes = getFrameBytes(message)
+  if (frameBytes > maxFrameBytes) {
+    throw new ValidationError(errorCodes.FRAME_TOO_LARGE, `Frames may be at most ${maxFrameBytes} bytes, got ${frameBytes}`)
+  }
+}
+
+// Room for an SPKI-encoded RSA-4096 key in base64; elliptic curve keys are far shorter.
+const MAX_PUBLIC_KEY_LENGTH = 1024
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]+={0,2}$/
+
+/**
+ * Rejects public keys that are not base64 (or base64url) or that are longer than `MAX_PUBLIC_KEY_LENGTH`.
+ * The key is stored alongside the socket and handed to other clients, so it must be checked before the socket is accepted.
+ * @param {string | null} publicKey The key the client sent, or `null` if it sent none.
+ */
+const validatePublicKey = (publicKey) => {
+  if (publicKey === null) {
+    return
+  }
+  if (publicKey.length > MAX_PUBLIC_KEY_LENGTH) {
+    throw new ValidationError(errorCodes.INVALID_PUBLIC_KEY, `Public keys may be at most ${MAX_PUBLIC_KEY_LENGTH} characters, got ${publicKey.length}`)
+  }
+  if (!BASE64_PATTERN.test(publicKey)) {
+    throw new ValidationError(errorCodes.INVALID_PUBLIC_KEY, 'Public keys must be base64 or base64url encoded')
+  }
+}
+
+/**
+ * Validates one addressee of a relay message: a `{type}` for every client of a type or a `{type, id}` for one client.
+ * @param {*} recipient The addressee.
+ * @param {string} path Where the addressee sits in the message, for the error message.
+ * @param {boolean} [allowEveryone] Whether `{type: '*'}` may address everyone.
+ */
+const validateRecipient = (recipient, path, allowEveryone = false) => {
+  if (!typeCheckers.object(recipient)) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, `'${path}' must be an object`)
+  }
+  if (allowEveryone && recipient.type === labels.EVERYONE) {
+    if (recipient.id !== undefined) {
+      throw new ValidationError(errorCodes.INVALID_MESSAGE, `'${path}.id' cannot be combined with the type ${labels.EVERYONE}`)
+    }
+    return
+  }
+  if (!Object.values(knownDeviceTags).includes(recipient.type)) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, `'${path}.type' must be one of ${Object.values(knownDeviceTags).join(', ')}`)
+  }
+  if (recipient.id !== undefined && !Number.isInteger(recipient.id)) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, `'${path}.id' must be an integer`)
+  }
+}
+
+/**
+ * Validates the correlation fields of a request or response. Both go to exactly one client and carry a `requestId`.
+ * @param {{kind: *, requestId?: *, to: *, except?: *, queue?: *, timeoutSeconds?: *}} data The parsed relay message.
+ */
+const validateCorrelation = ({ kind, requestId, to, except, queue, timeoutSeconds }) => {
+  if (!Object.values(messageKinds).includes(kind)) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, `'kind' must be one of ${Object.values(messageKinds).join(', ')}`)
+  }
+  if (!typeCheckers.string(requestId) || requestId.length === 0 || requestId.length > MAX_REQUEST_ID_LENGTH) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, `'requestId' must be a string of 1 to ${MAX_REQUEST_ID_LENGTH} characters`)
+  }
+  if (Array.isArray(to) || to.id === undefined || except !== undefined) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, `A ${kind} must be addressed to a single client with 'to.id'`)
+  }
+  if (queue === true) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, `A ${kind} cannot be queued`)
+  }
+  if (timeoutSeconds !== undefined && (kind !== messageKinds.REQUEST || !Number.isInteger(timeoutSeconds) || timeoutSeconds < 1)) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, '\'timeoutSeconds\' must be a positive integer on a request')
+  }
+}
+
+/**
+ * Validates the envelope of a relay message and, if its payload type has a registered schema, the payload.
+ * End-to-end encrypted messages carry an opaque `encrypted` field instead of a payload and are never inspected.
+ * `to` is a single addressee, `{type: '*'}` or a non-empty list of addressees, and `except` an optional list of clients to skip.
+ * Requests and responses, marked by their `kind`, must also carry a `requestId` and go to a single client.
+ * @param {{to: *, except?: *, kind?: *, requestId?: *, payload?: *, encrypted?: *}} data The parsed relay message.
+ * @param {{validatePayloads?: boolean}} [options] Payload validation can be switched off.
+ */
+const validateRelayMessage = (data, { validatePayloads = true } = {}) => {
+  const { to, except, payload, encrypted } = data
+  if (payload !== undefined && encrypted !== undefined) {
+    throw new ValidationError(errorCodes.INVALID_MESSAGE, 'Relay messages carry either \'payload\' or \'encrypted\', not both')
+  }
+  if (Array.isArray(to)) {
+    if (to.length === 0) {
+      throw new ValidationError(errorCodes.INVALID_MESSAGE, '\'to\' must list at least one recipient')
+    }
+    to.forEach((recipient, index) => validateRecipient(recipient, `to[${index}]`))
+  } else {
+    validateRecipient(to, 'to', true)
+  }
+  if (except !== undefined) {
+    if (!Array.isArray(except)) {
+      throw new ValidationError(errorCodes.INVALID_MESSAGE, '\'except\' must be an array')
+    }
+    except.forEach((recipient, index) => validateRecipient(recipient, `except[${index}]`))
+  }
+  if (data.kind !== undefined) {
+    validateCorrelation(data)
+  }
+
+  const schema = validatePayloads && payloadSchemas.get(payload?.type)
+  if (schema) {
+    const violation = findSchemaViolation(payload, schema, 'payload')
+    if (violation) {
+      throw new ValidationError(errorCodes.INVALID_PAYLOAD, violation)
+    }
+  }
+}
+
+export {
+  getFrameBytes,
+  registerPayloadSchema,
+  validateFrameSize,
+  validatePublicKey,
+  validateRelayMessage
+}
@@ -0,0 +1,126 @@
+import { describe, expect, it } from 'vitest'
+
+import errorCodes from './constants/error-codes.mjs'
+import { deviceTags, labels } from './constants/tags.mjs'
+import ValidationError from './errors/validation-error.mjs'
+import { registerPayloadSchema, validateFrameSize, validatePublicKey, validateRelayMessage } from './message-validator.mjs'
+
+/**
+ * Runs a validator and returns the error it threw, if any.
+ * @param {Function} validate The validation to run.
+ * @returns {ValidationError | undefined}
+ */
+const catchValidationError = (validate) => {
+  try {
+    validate()
+  } catch (e) {
+    expect(e).toBeInstanceOf(ValidationError)
+    return e
+  }
+}
+
+describe('validateFrameSize', () => {
+  it('should accept frames up to the limit', () => {
+    expect(() => validateFrameSize('1234', 4)).not.toThrow()
+    expect(() => validateFrameSize(new ArrayBuffer(4), 4)).not.toThrow()
+  })
+
+  it('should measure text frames in bytes, not characters', () => {
+    const error = catchValidationError(() => validateFrameSize('ü', 1))
+    expect(error.code).toBe(errorCodes.FRAME_TOO_LARGE)
+  })
+
+  it('should reject binary frames over the limit', () => {
+    const error = catchValidationError(() => validateFrameSize(new ArrayBuffer(5), 4))
+    expect(error.code).toBe(errorCodes.FRAME_TOO_LARGE)
+  })
+})
+
+describe('validatePublicKey', () => {
+  it('should accept base64 and base64url keys, and no key at all', () => {
+    expect(() => validatePublicKey(null)).not.toThrow()
+    expect(() => validatePublicKey('MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE+/9=')).not.toThrow()
+    expect(() => validatePublicKey('MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE-_9')).not.toThrow()
+  })
+
+  it('should reject keys over the length limit', () => {
+    const error = catchValidationError(() => validatePublicKey('A'.repeat(1025)))
+    expect(error.code).toBe(errorCodes.INVALID_PUBLIC_KEY)
+  })
+
+  it('should reject keys that are not base64', () => {
+    for (const publicKey of ['', 'not a key', '{"kty":"EC"}']) {
+      const error = catchValidationError(() => validatePublicKey(publicKey))
+      expect(error.code).toBe(errorCodes.INVALID_PUBLIC_KEY)
+    }
+  })
+})
+
+describe('validateRelayMessage', () => {
+  it('should accept a well-formed envelope', () => {
+    expect(() => validateRelayMessage({ to: { type: deviceTags.TABLET, id: 1 }, payload: {} })).not.toThrow()
+    expect(() => validateRelayMessage({ to: { type: deviceTags.PC }, payload: 'text' })).not.toThrow()
+  })
+
+  it('should accept requests and responses to a single client', () => {
+    expect(() => validateRelayMessage({ to: { type: deviceTags.PC, id: 0 }, kind: 'request', requestId: 'lookup-1', timeoutSeconds: 5, payload: {} })).not.toThrow()
+    expect(() => validateRelayMessage({ to: { type: deviceTags.TABLET, id: 1 }, kind: 'response', requestId: 'lookup-1', payload: {} })).not.toThrow()
+  })
+
+  it('should accept lists of recipients, everyone and exceptions', () => {
+    const to = [{ type: deviceTags.TABLET, id: 1 }, { type: deviceTags.PC }]
+    expect(() => validateRelayMessage({ to, payload: {} })).not.toThrow()
+    expect(() => validateRelayMessage({ to: { type: labels.EVERYONE }, except: [{ type: deviceTags.TABLET, id: 2 }], payload: {} })).not.toThrow()
+  })
+
+  it.each([
+    ['a non-object recipient', { to: 'pc', payload: {} }],
+    ['an unknown device type', { to: { type: 'printer' }, payload: {} }],
+    ['a non-integer ID', { to: { type: deviceTags.TABLET, id: '1' }, payload: {} }],
+    ['a fractional ID', { to: { type: deviceTags.TABLET, id: 1.5 }, payload: {} }],
+    ['both a payload and an encrypted envelope', { to: { type: deviceTags.PC }, payload: {}, encrypted: 'abc' }],
+    ['an empty list of recipients', { to: [], payload: {} }],
+    ['an invalid recipient in a list', { to: [{ type: deviceTags.TABLET, id: 1 }, { type: 'printer' }], payload: {} }],
+    ['everyone in a list', { to: [{ type: labels.EVERYONE }], payload: {} }],
+    ['an ID for everyone', { to: { type: labels.EVERYONE, id: 1 }, payload: {} }],
+    ['a non-array exception', { to: { type: deviceTags.TABLET }, except: { type: deviceTags.TABLET, id: 1 }, payload: {} }],
+    ['an invalid exception', { to: { type: deviceTags.TABLET }, except: [{ type: deviceTags.TABLET, id: 'x' }], payload: {} }],
+    ['an unknown kind', { to: { type: deviceTags.PC, id: 0 }, kind: 'notice', requestId: 'r1', payload: {} }],
+    ['a request without a requestId', { to: { type: deviceTags.PC, id: 0 }, kind: 'request', payload: {} }],
+    ['a request to a whole type', { to: { type: deviceTags.TABLET }, kind: 'request', requestId: 'r1', payload: {} }],
+    ['a queued request', { to: { type: deviceTags.PC, id: 0 }, kind: 'request', requestId: 'r1', queue: true, payload: {} }],
+    ['a response with a timeout', { to: { type: deviceTags.TABLET, id: 1 }, kind: 'response', requestId: 'r1', timeoutSeconds: 5, payload: {} }]
+  ])('should reject %s', (_, data) => {
+    const error = catchValidationError(() => validateRelayMessage(data))
+    expect(error.code).toBe(errorCodes.INVALID_MESSAGE)
+  })
+
+  it('should validate stroke payloads against their schema', () => {
+    const to = { type: deviceTags.PC }
+    expect(() => validateRelayMessage({ to, payload: { type: 'stroke', stroke: 'KAT', keys: ['K-', 'A-', '-T'] } })).not.toThrow()
+
+    const missing = catchValidationError(() => validateRelayMessage({ to, payload: { type: 'stroke' } }))
+    expect(missing.code).toBe(errorCodes.INVALID_PAYLOAD)
+    expect(missing.message).toBe('payload.stroke is required')
+
+    const wrongItem = catchValidationError(() => validateRelayMessage({ to, payload: { type: 'stroke', stroke: 'KAT', keys: ['K-', 3] } }))
+    expect(wrongItem.message).toBe('payload.keys[1] must be of type string')
+  })
+
+  it('should skip payload validation when switched off', () => {
+    const data = { to: { type: deviceTags.PC }, payload: { type: 'stroke' } }
+    expect(() => validateRelayMessage(data, { validatePayloads: false })).not.toThrow()
+  })
+
+  it('should validate payloads against newly registered schemas', () => {
+    registerPayloadSchema('test_lookup', {
+      type: 'object',
+      required: ['word'],
+      properties: { word: { type: 'string' }, mode: { enum: ['exact', 'prefix'] } }
+    })
+    const to = { type: deviceTags.PC }
+    expect(() => validateRelayMessage({ to, payload: { type: 'test_lookup', word: 'cat', mode: 'exact' } })).not.toThrow()
+    const error = catchValidationError(() => validateRelayMessage({ to, payload: { type: 'test_lookup', word: 'cat', mode: 'fuzzy' } }))
+    expect(error.message).toBe('payload.mode must be one of exact, prefix')
+  })
+})
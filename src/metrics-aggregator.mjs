@@ -0,0 +1,55 @@
+import { DurableObject } from 'cloudflare:workers'
+import HttpMethods from 'http-methods-constants'
+import { ReasonPhrases, StatusCodes } from 'http-status-codes'
+
+import slugs from './constants/slugs.mjs'
+import { formatPrometheus, mergeCounters } from './metrics.mjs'
+
+const COUNTERS_KEY = 'counters'
+
+/**
+ * A Durable Object adding up the traffic counters reported by every session.
+ * POST counters as JSON to `/report` to add them; GET `/metrics` for the totals in the Prometheus text format.
+ */
+export class MetricsAggregator extends DurableObject {
+  /** @type {DurableObjectState} */
+  ctx
+
+  /** @type {string} */
+  shortId
+
+  /**
+   * Creates an instance of the MetricsAggregator Durable Object.
+   * @param {DurableObjectState} ctx
+   * @param {object} env
+   */
+  constructor (ctx, env) {
+    super(ctx, env)
+    this.ctx = ctx
+    this.shortId = String(ctx.id).slice(-5)
+  }
+
+  /**
+   * Handles reports and scrapes.
+   * @param {Request} request The incoming HTTP request.
+   * @returns {Promise<Response>}
+   */
+  async fetch (request) {
+    const pathEnd = new URL(request.url).pathname.split('/').at(-1)
+    /** @type {import('./metrics.mjs').Counters} */
+    const counters = (await this.ctx.storage.get(COUNTERS_KEY)) ?? {}
+
+    if (request.method === HttpMethods.POST && pathEnd === slugs.REPORT) {
+      await this.ctx.storage.put(COUNTERS_KEY, mergeCounters(counters, await request.json()))
+      return new Response(null, { status: StatusCodes.NO_CONTENT })
+    }
+    if (request.method === HttpMethods.GET && pathEnd === slugs.METRICS) {
+      return new Response(formatPrometheus(counters), {
+        status: StatusCodes.OK,
+        headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+      })
+    }
+    console.warn(`[MA ${this.shortId}] Unknown request: ${request.method} ${pathEnd}`)
+    return new Response(ReasonPhrases.NOT_FOUND, { status: StatusCodes.NOT_FOUND })
+  }
+}
@@ -0,0 +1,58 @@
+import HttpMethods from 'http-methods-constants'
+import { StatusCodes } from 'http-status-codes'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+import metricNames from './constants/metric-names.mjs'
+import slugs from './constants/slugs.mjs'
+import { MetricsAggregator } from './metrics-aggregator.mjs'
+
+vi.mock('cloudflare:workers', () => ({
+  DurableObject: class DurableObject {}
+}))
+
+const report = (counters) => new Request(`https://${slugs.METRICS}/${slugs.REPORT}`, {
+  method: HttpMethods.POST,
+  body: JSON.stringify(counters)
+})
+
+describe('MetricsAggregator Durable Object', () => {
+  let state
+  /** @type {MetricsAggregator} */
+  let aggregator
+
+  beforeEach(() => {
+    const storage = new Map()
+    state = {
+      id: 'aggregator-id',
+      storage: {
+        get: vi.fn(key => storage.get(key)),
+        put: vi.fn((key, value) => storage.set(key, value))
+      }
+    }
+    aggregator = new MetricsAggregator(state, {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  it('should add up the reports of every session', async () => {
+    const first = await aggregator.fetch(report({ [metricNames.CONNECTIONS]: { 'type=pc': 1 } }))
+    await aggregator.fetch(report({ [metricNames.CONNECTIONS]: { 'type=pc': 1, 'type=tablet': 2 } }))
+    expect(first.status).toBe(StatusCodes.NO_CONTENT)
+
+    const response = await aggregator.fetch(new Request(`https://relay/${slugs.METRICS}`))
+    expect(response.status).toBe(StatusCodes.OK)
+    expect(response.headers.get('Content-Type')).toMatch(/^text\/plain; version=0\.0\.4/)
+    const body = await response.text()
+    expect(body).toContain('relay_connections_total{type="pc"} 2')
+    expect(body).toContain('relay_connections_total{type="tablet"} 2')
+  })
+
+  it('should serve an empty exposition before any report', async () => {
+    const response = await aggregator.fetch(new Request(`https://relay/${slugs.METRICS}`))
+    expect(await response.text()).toBe('')
+  })
+
+  it('should not know other paths', async () => {
+    const response = await aggregator.fetch(new Request('https://relay/elsewhere'))
+    expect(response.status).toBe(StatusCodes.NOT_FOUND)
+  })
+})
@@ -0,0 +1,91 @@
+import metricNames from './constants/metric-names.mjs'
+
+/**
+ * Counter values keyed by metric name, then by label set. A label set is written as
+ * comma-separated `name=value` pairs in a fixed order, or the empty string for none.
+ * @typedef {Object<string, Object<string, number>>} Counters
+ */
+
+const metricHelp = {
+  [metricNames.MESSAGES_RELAYED]: 'Relay messages delivered to at least one recipient or queued for one.',
+  [metricNames.MESSAGES_DROPPED]: 'Frames rejected with an error frame, by error code.',
+  [metricNames.BYTES_RECEIVED]: 'Bytes received from clients.',
+  [metricNames.BYTES_SENT]: 'Bytes sent to clients.',
+  [metricNames.COMMANDS]: 'Commands handled, by command.',
+  [metricNames.CONNECTIONS]: 'WebSocket connections accepted, by client type.',
+  [metricNames.CONNECTIONS_REJECTED]: 'WebSocket connection attempts rejected, by error type.'
+}
+
+/**
+ * Writes a label set as a counter key.
+ * @param {Object<string, string | number>} metricLabels The labels.
+ * @returns {string}
+ */
+const toLabelKey = (metricLabels) => Object.entries(metricLabels)
+  .map(([name, value]) => `${name}=${value}`)
+  .join(',')
+
+/**
+ * Adds to a counter.
+ * @param {Counters} counters The counters to update.
+ * @param {string} name The metric name, one of `metricNames`.
+ * @param {Object<string, string | number>} [metricLabels] The labels of the counter.
+ * @param {number} [by] How much to add.
+ */
+const incrementCounter = (counters, name, metricLabels = {}, by = 1) => {
+  const series = (counters[name] ??= {})
+  const key = toLabelKey(metricLabels)
+  series[key] = (series[key] ?? 0) + by
+}
+
+/**
+ * Adds every counter of one set to another.
+ * @param {Counters} target The counters to add to.
+ * @param {Counters} source The counters to add.
+ * @returns {Counters} The target.
+ */
+const mergeCounters = (target, source) => {
+  for (const [name, series] of Object.entries(source)) {
+    for (const [key, value] of Object.entries(series)) {
+      const targetSeries = (target[name] ??= {})
+      targetSeries[key] = (targetSeries[key] ?? 0) + value
+    }
+  }
+  return target
+}
+
+/**
+ * Escapes a label value for the Prometheus text format.
+ * @param {string} value The label value.
+ * @returns {string}
+ */
+const escapeLabelValue = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+
+/**
+ * Formats counters in the Prometheus text exposition format.
+ * @param {Counters} counters The counters.
+ * @returns {string}
+ */
+const formatPrometheus = (counters) => Object.entries(counters)
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([name, series]) => [
+    `# HELP ${name} ${metricHelp[name] ?? name}`,
+    `# TYPE ${name} counter`,
+    ...Object.entries(series).map(([key, value]) => {
+      if (key === '') {
+        return `${name} ${value}`
+      }
+      const labelPairs = key.split(',').map(pair => {
+        const [labelName, ...valueParts] = pair.split('=')
+        return `${labelName}="${escapeLabelValue(valueParts.join('='))}"`
+      })
+      return `${name}{${labelPairs.join(',')}} ${value}`
+    })
+  ].join('\n') + '\n')
+  .join('')
+
+export {
+  formatPrometheus,
+  incrementCounter,
+  mergeCounters
+}
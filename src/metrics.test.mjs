@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest'
+
+import metricNames from './constants/metric-names.mjs'
+import { formatPrometheus, incrementCounter, mergeCounters } from './metrics.mjs'
+
+describe('incrementCounter', () => {
+  it('should count each label set separately', () => {
+    const counters = {}
+    incrementCounter(counters, metricNames.BYTES_SENT, { type: 'pc' }, 10)
+    incrementCounter(counters, metricNames.BYTES_SENT, { type: 'pc' }, 5)
+    incrementCounter(counters, metricNames.BYTES_SENT, { type: 'tablet' })
+    incrementCounter(counters, metricNames.CONNECTIONS)
+
+    expect(counters).toEqual({
+      [metricNames.BYTES_SENT]: { 'type=pc': 15, 'type=tablet': 1 },
+      [metricNames.CONNECTIONS]: { '': 1 }
+    })
+  })
+})
+
+describe('mergeCounters', () => {
+  it('should add the source counters to the target', () => {
+    const target = { [metricNames.COMMANDS]: { 'command=close': 1 } }
+    mergeCounters(target, {
+      [metricNames.COMMANDS]: { 'command=close': 2, 'command=approve': 1 },
+      [metricNames.CONNECTIONS]: { 'type=pc': 1 }
+    })
+
+    expect(target).toEqual({
+      [metricNames.COMMANDS]: { 'command=close': 3, 'command=approve': 1 },
+      [metricNames.CONNECTIONS]: { 'type=pc': 1 }
+    })
+  })
+})
+
+describe('formatPrometheus', () => {
+  it('should write each metric with its help, type and series', () => {
+    const counters = {
+      [metricNames.MESSAGES_DROPPED]: { 'reason=unknown_recipient': 2 },
+      [metricNames.CONNECTIONS]: { 'type=pc': 1, 'type=tablet': 3 }
+    }
+
+    expect(formatPrometheus(counters)).toBe([
+      '# HELP relay_connections_total WebSocket connections accepted, by client type.',
+      '# TYPE relay_connections_total counter',
+      'relay_connections_total{type="pc"} 1',
+      'relay_connections_total{type="tablet"} 3',
+      '# HELP relay_messages_dropped_total Frames rejected with an error frame, by error code.',
+      '# TYPE relay_messages_dropped_total counter',
+      'relay_messages_dropped_total{reason="unknown_recipient"} 2',
+      ''
+    ].join('\n'))
+  })
+
+  it('should write a series without labels bare and escape label values', () => {
+    const counters = { [metricNames.CONNECTIONS_REJECTED]: { '': 1, 'error=Say "hi"': 2 } }
+    const lines = formatPrometheus(counters).split('\n')
+    expect(lines).toContain('relay_connections_rejected_total 1')
+    expect(lines).toContain('relay_connections_rejected_total{error="Say \\"hi\\""} 2')
+  })
+})
@@ -0,0 +1,16 @@
+/**
+ * Makes a random numeric code, drawn without modulo bias.
+ * @param {number} digits How many digits the code has.
+ * @returns {string} The code, zero-padded to the requested length.
+ */
+const getNewPairingCode = (digits) => {
+  const range = 10 ** digits
+  // The largest multiple of the range that fits in 32 bits; draws above it would favour low codes.
+  const limit = Math.floor(2 ** 32 / range) * range
+  const [value] = crypto.getRandomValues(new Uint32Array(1))
+  return value < limit
+    ? String(value % range).padStart(digits, '0')
+    : getNewPairingCode(digits)
+}
+
+export default getNewPairingCode
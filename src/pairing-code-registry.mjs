@@ -0,0 +1,165 @@
+import { DurableObject } from 'cloudflare:workers'
+import { getMimeType } from 'hono/utils/mime'
+import { ReasonPhrases, StatusCodes } from 'http-status-codes'
+
+import slugs from './constants/slugs.mjs'
+import getNewPairingCode from './pairing-code-generator.mjs'
+import parseEnvInteger from './parse-env-integer.mjs'
+import TokenBucket from './token-bucket.mjs'
+
+const CODE_PREFIX = 'code:'
+const FAILED_CLAIMS = 'failedClaims'
+const MIN_DIGITS = 6
+const MAX_DIGITS = 8
+// Give up rather than loop forever if nearly every code is taken.
+const MAX_REGISTER_ATTEMPTS = 10
+
+/**
+ * @typedef {object} PairingEntry
+ * @property {string} sessionId The session the code pairs with.
+ * @property {number} expiresAt When the code stops working, in milliseconds since the epoch.
+ */
+
+/**
+ * A Durable Object mapping short numeric pairing codes to session IDs.
+ * POST `{sessionId, ttlSeconds, digits}` to `/register` for a new code; the response is `{code, expiresAt}`.
+ * POST `{code}` to `/claim` to use a code up; the response is `{sessionId}`, or 404 if the code is unknown or expired.
+ * Failed claims are counted across all clients, and once too many failed, every claim gets 429 for a while.
+ */
+export class PairingCodeRegistry extends DurableObject {
+  /** @type {DurableObjectState} */
+  ctx
+
+  /** @type {string} */
+  shortId
+
+  // Per-IP limits do not stop guesses spread over many addresses, so failures are also limited for everyone.
+  failedClaimBurst = 50
+  failedClaimsPerMinute = 30
+
+  /**
+   * Creates an instance of the PairingCodeRegistry Durable Object.
+   * @param {DurableObjectState} ctx
+   * @param {object} env
+   */
+  constructor (ctx, env) {
+    super(ctx, env)
+    this.ctx = ctx
+    this.shortId = String(ctx.id).slice(-5)
+    this.failedClaimBurst = parseEnvInteger(env?.FAILED_PAIRING_BURST, this.failedClaimBurst)
+    this.failedClaimsPerMinute = Math.max(parseEnvInteger(env?.FAILED_PAIRINGS_PER_MINUTE, this.failedClaimsPerMinute), 1)
+  }
+
+  /**
+   * Loads the token bucket that failed claims take from.
+   * @returns {Promise<TokenBucket>}
+   */
+  async getFailedClaims () {
+    const state = await this.ctx.storage.get(FAILED_CLAIMS)
+    return new TokenBucket(this.failedClaimBurst, this.failedClaimsPerMinute / 60, state)
+  }
+
+  /**
+   * Stores a new code for a session, making sure it is not already in use.
+   * @param {string} sessionId The session to pair with.
+   * @param {number} ttlSeconds How long the code stays valid.
+   * @param {number} digits How many digits the code has, clamped to 6-8.
+   * @returns {Promise<{code: string, expiresAt: number}>}
+   */
+  async register (sessionId, ttlSeconds, digits) {
+    const length = Math.min(Math.max(digits, MIN_DIGITS), MAX_DIGITS)
+    const expiresAt = Date.now() + ttlSeconds * 1000
+
+    for (let attempt = 0; attempt < MAX_REGISTER_ATTEMPTS; attempt++) {
+      const code = getNewPairingCode(length)
+      const existing = await this.ctx.storage.get(`${CODE_PREFIX}${code}`)
+      if (existing === undefined || existing.expiresAt <= Date.now()) {
+        await this.ctx.storage.put(`${CODE_PREFIX}${code}`, { sessionId, expiresAt })
+        const alarm = await this.ctx.storage.getAlarm()
+        if (alarm === null || alarm > expiresAt) {
+          await this.ctx.storage.setAlarm(expiresAt)
+        }
+        return { code, expiresAt }
+      }
+    }
+    throw new Error(`No free ${length} digit pairing code found`)
+  }
+
+  /**
+   * Uses a code up. Each code works once and only until it expires.
+   * @param {string} code The code typed in on the tablet.
+   * @returns {Promise<string | undefined>} The session ID, if the code is valid.
+   */
+  async claim (code) {
+    const key = `${CODE_PREFIX}${code}`
+    /** @type {PairingEntry | undefined} */
+    const entry = await this.ctx.storage.get(key)
+    if (entry === undefined) {
+      return undefined
+    }
+    await this.ctx.storage.delete(key)
+    return entry.expiresAt > Date.now() ? entry.sessionId : undefined
+  }
+
+  /**
+   * Handles registrations and claims.
+   * @param {Request} request A POST request carrying its parameters as JSON.
+   * @returns {Promise<Response>}
+   */
+  async fetch (request) {
+    const pathEnd = new URL(request.url).pathname.split('/').at(-1)
+    const body = await request.json()
+
+    let result
+    switch (pathEnd) {
+      case slugs.REGISTER:
+        result = await this.register(body.sessionId, body.ttlSeconds, body.digits)
+        break
+      case slugs.CLAIM: {
+        const failedClaims = await this.getFailedClaims()
+        failedClaims.refill(Date.now())
+        if (failedClaims.tokens < 1) {
+          // Codes are not even looked up, so guesses made now cannot succeed.
+          const { retryAfter } = failedClaims.take()
+          console.warn(`[PCR ${this.shortId}] Too many failed pairing attempts, retry after ${retryAfter} s`)
+          return new Response(ReasonPhrases.TOO_MANY_REQUESTS, {
+            status: StatusCodes.TOO_MANY_REQUESTS,
+            headers: { 'Retry-After': String(retryAfter) }
+          })
+        }
+        const sessionId = await this.claim(String(body.code))
+        if (sessionId === undefined) {
+          failedClaims.take()
+          await this.ctx.storage.put(FAILED_CLAIMS, failedClaims.toJSON())
+          console.warn(`[PCR ${this.shortId}] Rejected unknown or expired pairing code`)
+          return new Response(ReasonPhrases.NOT_FOUND, { status: StatusCodes.NOT_FOUND })
+        }
+        result = { sessionId }
+        break
+      }
+      default:
+        return new Response(ReasonPhrases.NOT_FOUND, { status: StatusCodes.NOT_FOUND })
+    }
+    return new Response(JSON.stringify(result), {
+      status: StatusCodes.OK,
+      headers: { 'Content-Type': getMimeType('json') }
+    })
+  }
+
+  /**
+   * Forgets expired codes and wakes up again when the next one expires.
+   */
+  async alarm () {
+    const now = Date.now()
+    /** @type {Map<string, PairingEntry>} */
+    const entries = await this.ctx.storage.list({ prefix: CODE_PREFIX })
+    const expiredKeys = [...entries].filter(([, entry]) => entry.expiresAt <= now).map(([key]) => key)
+    if (expiredKeys.length > 0) {
+      await this.ctx.storage.delete(expiredKeys)
+    }
+    const remaining = [...entries.values()].filter(entry => entry.expiresAt > now)
+    if (remaining.length > 0) {
+      await this.ctx.storage.setAlarm(Math.min(...remaining.map(entry => entry.expiresAt)))
+    }
+  }
+}
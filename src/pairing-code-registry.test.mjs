@@ -0,0 +1,109 @@
+import HttpMethods from 'http-methods-constants'
+import { StatusCodes } from 'http-status-codes'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+import slugs from './constants/slugs.mjs'
+import { PairingCodeRegistry } from './pairing-code-registry.mjs'
+
+vi.mock('cloudflare:workers', () => ({
+  DurableObject: class DurableObject {}
+}))
+
+const post = (slug, body) => new Request(`https://registry/${slug}`, {
+  method: HttpMethods.POST,
+  body: JSON.stringify(body)
+})
+
+describe('PairingCodeRegistry Durable Object', () => {
+  let state
+  /** @type {PairingCodeRegistry} */
+  let registry
+
+  beforeEach(() => {
+    const storage = new Map()
+    let alarm = null
+    state = {
+      id: 'registry-id',
+      storage: {
+        get: vi.fn(key => storage.get(key)),
+        put: vi.fn((key, value) => storage.set(key, value)),
+        delete: vi.fn(keys => [keys].flat().filter(key => storage.delete(key)).length),
+        list: vi.fn(({ prefix }) => new Map([...storage].filter(([key]) => key.startsWith(prefix)))),
+        setAlarm: vi.fn(time => { alarm = time }),
+        getAlarm: vi.fn(() => alarm)
+      }
+    }
+    registry = new PairingCodeRegistry(state, {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  it('should register a numeric code of the requested length', async () => {
+    const response = await registry.fetch(post(slugs.REGISTER, { sessionId: 'session-1', ttlSeconds: 60, digits: 8 }))
+    const { code, expiresAt } = await response.json()
+
+    expect(code).toMatch(/^\d{8}$/)
+    expect(expiresAt).toBeGreaterThan(Date.now())
+    expect(state.storage.setAlarm).toHaveBeenCalledWith(expiresAt)
+  })
+
+  it('should keep code lengths between 6 and 8 digits', async () => {
+    const { code: shortCode } = await registry.register('session-1', 60, 2)
+    const { code: longCode } = await registry.register('session-1', 60, 12)
+    expect(shortCode).toHaveLength(6)
+    expect(longCode).toHaveLength(8)
+  })
+
+  it('should swap a code for its session exactly once', async () => {
+    const { code } = await registry.register('session-1', 60, 6)
+
+    const first = await registry.fetch(post(slugs.CLAIM, { code }))
+    expect(first.status).toBe(StatusCodes.OK)
+    expect(await first.json()).toEqual({ sessionId: 'session-1' })
+
+    const second = await registry.fetch(post(slugs.CLAIM, { code }))
+    expect(second.status).toBe(StatusCodes.NOT_FOUND)
+  })
+
+  it('should reject an expired code', async () => {
+    await state.storage.put('code:123456', { sessionId: 'session-1', expiresAt: Date.now() - 1 })
+    const response = await registry.fetch(post(slugs.CLAIM, { code: '123456' }))
+    expect(response.status).toBe(StatusCodes.NOT_FOUND)
+    expect(await state.storage.get('code:123456')).toBeUndefined()
+  })
+
+  it('should stop checking codes for everyone after too many failed claims', async () => {
+    registry = new PairingCodeRegistry(state, { FAILED_PAIRING_BURST: '3', FAILED_PAIRINGS_PER_MINUTE: '6' })
+    const { code } = await registry.register('session-1', 60, 6)
+    for (let guess = 0; guess < 3; guess++) {
+      const response = await registry.fetch(post(slugs.CLAIM, { code: '000000' }))
+      expect(response.status).toBe(StatusCodes.NOT_FOUND)
+    }
+
+    const throttled = await registry.fetch(post(slugs.CLAIM, { code }))
+    expect(throttled.status).toBe(StatusCodes.TOO_MANY_REQUESTS)
+    expect(throttled.headers.get('Retry-After')).toBe('10')
+    // The right code was not used up while claims were refused
+    expect(await state.storage.get(`code:${code}`)).toEqual(expect.objectContaining({ sessionId: 'session-1' }))
+  })
+
+  it('should not count successful claims as failures', async () => {
+    registry = new PairingCodeRegistry(state, { FAILED_PAIRING_BURST: '1' })
+    const { code: first } = await registry.register('session-1', 60, 6)
+    const { code: second } = await registry.register('session-2', 60, 6)
+
+    expect((await registry.fetch(post(slugs.CLAIM, { code: first }))).status).toBe(StatusCodes.OK)
+    expect((await registry.fetch(post(slugs.CLAIM, { code: second }))).status).toBe(StatusCodes.OK)
+  })
+
+  it('should forget expired codes when the alarm fires', async () => {
+    const later = Date.now() + 60_000
+    await state.storage.put('code:111111', { sessionId: 'session-1', expiresAt: Date.now() - 1 })
+    await state.storage.put('code:222222', { sessionId: 'session-2', expiresAt: later })
+
+    await registry.alarm()
+
+    expect(await state.storage.get('code:111111')).toBeUndefined()
+    expect(await state.storage.get('code:222222')).toBeDefined()
+    expect(state.storage.setAlarm).toHaveBeenCalledWith(later)
+  })
+})
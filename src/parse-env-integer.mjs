@@ -0,0 +1,12 @@
+/**
+ * Reads a non-negative integer from an environment variable.
+ * @param {string | undefined} value The raw value of the variable.
+ * @param {number} fallback The value to use when the variable is unset or invalid.
+ * @returns {number}
+ */
+const parseEnvInteger = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback
+}
+
+export default parseEnvInteger
@@ -0,0 +1,72 @@
+import capabilities from './constants/capabilities.mjs'
+import errorCodes from './constants/error-codes.mjs'
+import ValidationError from './errors/validation-error.mjs'
+
+const SUBPROTOCOL_PREFIX = 'plover-relay.v'
+
+/**
+ * The protocol version spoken with clients that do not name a subprotocol, such as older Plover plugins.
+ */
+const LEGACY_PROTOCOL_VERSION = 1
+
+/**
+ * What the relay supports in each protocol version it speaks.
+ * @type {Readonly<Record<number, ReadonlyArray<string>>>}
+ */
+const protocolCapabilities = Object.freeze({
+  1: Object.freeze([capabilities.BINARY, capabilities.ACKS, capabilities.QUEUEING, capabilities.ENCRYPTION, capabilities.PRESENCE, capabilities.REQUESTS])
+})
+
+/**
+ * Names the WebSocket subprotocol of a protocol version.
+ * @param {number} version The protocol version.
+ * @returns {string} The subprotocol, e.g. `plover-relay.v1`.
+ */
+const getSubprotocol = (version) => `${SUBPROTOCOL_PREFIX}${version}`
+
+/**
+ * Lists every subprotocol the relay speaks, newest first.
+ * @returns {Array<string>}
+ */
+const getSupportedSubprotocols = () => Object.keys(protocolCapabilities)
+  .map(Number)
+  .sort((a, b) => b - a)
+  .map(getSubprotocol)
+
+/**
+ * Lists what the relay supports in a protocol version.
+ * @param {number} version The negotiated protocol version.
+ * @returns {Array<string>} Some of `capabilities`.
+ */
+const getCapabilities = (version) => [...protocolCapabilities[version]]
+
+/**
+ * Picks the newest protocol version offered in a `Sec-WebSocket-Protocol` header that the relay speaks.
+ * Clients that offer no subprotocol at all get the legacy version without one being echoed back.
+ * @param {string | null} header The value of the client's `Sec-WebSocket-Protocol` header.
+ * @returns {{version: number, subprotocol: string | null}} The version to speak and the subprotocol to echo, if any.
+ * @throws {ValidationError} If the client offers only subprotocols the relay does not speak.
+ */
+const negotiateProtocol = (header) => {
+  const offered = (header ?? '').split(',').map(subprotocol => subprotocol.trim()).filter(Boolean)
+  if (offered.length === 0) {
+    return { version: LEGACY_PROTOCOL_VERSION, subprotocol: null }
+  }
+  const supported = getSupportedSubprotocols()
+  const subprotocol = supported.find(candidate => offered.includes(candidate))
+  if (!subprotocol) {
+    throw new ValidationError(
+      errorCodes.UNSUPPORTED_PROTOCOL,
+      `Unsupported subprotocol: ${offered.join(', ')}. Supported: ${supported.join(', ')}`
+    )
+  }
+  return { version: Number(subprotocol.slice(SUBPROTOCOL_PREFIX.length)), subprotocol }
+}
+
+export {
+  getCapabilities,
+  getSubprotocol,
+  getSupportedSubprotocols,
+  LEGACY_PROTOCOL_VERSION,
+  negotiateProtocol
+}
@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest'
+
+import capabilities from './constants/capabilities.mjs'
+import errorCodes from './constants/error-codes.mjs'
+import { getCapabilities, getSupportedSubprotocols, LEGACY_PROTOCOL_VERSION, negotiateProtocol } from './protocol.mjs'
+
+describe('negotiateProtocol', () => {
+  it('should speak the legacy version to clients that offer no subprotocol', () => {
+    expect(negotiateProtocol(null)).toEqual({ version: LEGACY_PROTOCOL_VERSION, subprotocol: null })
+    expect(negotiateProtocol('')).toEqual({ version: LEGACY_PROTOCOL_VERSION, subprotocol: null })
+  })
+
+  it('should pick a supported subprotocol from the offered list', () => {
+    expect(negotiateProtocol('chat, plover-relay.v1 ,plover-relay.v7')).toEqual({ version: 1, subprotocol: 'plover-relay.v1' })
+  })
+
+  it('should reject clients that offer only unsupported subprotocols', () => {
+    expect(() => negotiateProtocol('plover-relay.v0, chat')).toThrow(expect.objectContaining({
+      code: errorCodes.UNSUPPORTED_PROTOCOL,
+      message: 'Unsupported subprotocol: plover-relay.v0, chat. Supported: plover-relay.v1'
+    }))
+  })
+})
+
+describe('getCapabilities', () => {
+  it('should list everything the first version supports', () => {
+    expect(getCapabilities(1)).toEqual([capabilities.BINARY, capabilities.ACKS, capabilities.QUEUEING, capabilities.ENCRYPTION, capabilities.PRESENCE, capabilities.REQUESTS])
+  })
+
+  it('should name a subprotocol for every version with capabilities', () => {
+    expect(getSupportedSubprotocols()).toEqual(['plover-relay.v1'])
+  })
+})
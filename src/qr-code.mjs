@@ -0,0 +1,120 @@
+import { encode, renderSVG } from 'uqr'
+
+// The QR specification asks for a quiet zone of four modules around the code.
+const QUIET_ZONE = 4
+// Medium error correction survives a slightly blurry phone camera without making the code much denser.
+const ERROR_CORRECTION = 'M'
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+/**
+ * Computes the CRC-32 used by PNG chunks.
+ * @param {Uint8Array} bytes The bytes to checksum.
+ * @returns {number}
+ */
+const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+/**
+ * Builds a PNG chunk: length, type, data and the CRC of type and data.
+ * @param {string} type The four-letter chunk type.
+ * @param {Uint8Array} data The chunk data.
+ * @returns {Uint8Array}
+ */
+const pngChunk = (type, data) => {
+  const chunk = new Uint8Array(12 + data.byteLength)
+  const view = new DataView(chunk.buffer)
+  view.setUint32(0, data.byteLength)
+  chunk.set(new TextEncoder().encode(type), 4)
+  chunk.set(data, 8)
+  view.setUint32(8 + data.byteLength, crc32(chunk.subarray(4, 8 + data.byteLength)))
+  return chunk
+}
+
+/**
+ * Compresses bytes into a zlib stream, as PNG image data requires.
+ * @param {Uint8Array} bytes The raw bytes.
+ * @returns {Promise<Uint8Array>}
+ */
+const deflate = async (bytes) => {
+  const reader = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate')).getReader()
+  const chunks = []
+  let length = 0
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    chunks.push(result.value)
+    length += result.value.byteLength
+  }
+  const compressed = new Uint8Array(length)
+  chunks.reduce((offset, chunk) => {
+    compressed.set(chunk, offset)
+    return offset + chunk.byteLength
+  }, 0)
+  return compressed
+}
+
+/**
+ * Renders text as a QR code in SVG.
+ * @param {string} text The text to encode, typically a URL.
+ * @returns {string} The SVG document.
+ */
+const renderQrSvg = (text) => renderSVG(text, { ecc: ERROR_CORRECTION, border: QUIET_ZONE })
+
+/**
+ * Renders text as a QR code in an 8-bit greyscale PNG.
+ * @param {string} text The text to encode, typically a URL.
+ * @param {number} [scale] The width and height of each module in pixels.
+ * @returns {Promise<Uint8Array>} The PNG file.
+ */
+const renderQrPng = async (text, scale = 8) => {
+  const { data, size } = encode(text, { ecc: ERROR_CORRECTION, border: QUIET_ZONE })
+  const width = size * scale
+
+  // Every scanline starts with filter type 0 (none), followed by one byte per pixel.
+  const scanlineLength = width + 1
+  const pixels = new Uint8Array(scanlineLength * width)
+  data.forEach((row, y) => {
+    const scanline = new Uint8Array(scanlineLength)
+    row.forEach((isDark, x) => {
+      scanline.fill(isDark ? 0x00 : 0xff, 1 + x * scale, 1 + (x + 1) * scale)
+    })
+    for (let repeat = 0; repeat < scale; repeat++) {
+      pixels.set(scanline, (y * scale + repeat) * scanlineLength)
+    }
+  })
+
+  const header = new Uint8Array(13)
+  const headerView = new DataView(header.buffer)
+  headerView.setUint32(0, width)
+  headerView.setUint32(4, width)
+  header.set([8, 0, 0, 0, 0], 8) // bit depth 8, greyscale, deflate, adaptive filtering, no interlace
+
+  const parts = [
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', await deflate(pixels)),
+    pngChunk('IEND', new Uint8Array(0))
+  ]
+  const png = new Uint8Array(parts.reduce((length, part) => length + part.byteLength, 0))
+  parts.reduce((offset, part) => {
+    png.set(part, offset)
+    return offset + part.byteLength
+  }, 0)
+  return png
+}
+
+export {
+  renderQrPng,
+  renderQrSvg
+}
@@ -0,0 +1,55 @@
+import { inflateSync } from 'node:zlib'
+
+import { encode } from 'uqr'
+import { describe, expect, it } from 'vitest'
+
+import { renderQrPng, renderQrSvg } from './qr-code.mjs'
+
+const JOIN_URL = 'wss://relay.example.com/session/some-id/join?token=some-token'
+
+describe('renderQrSvg', () => {
+  it('should render an SVG document', () => {
+    const svg = renderQrSvg(JOIN_URL)
+    expect(svg).toMatch(/^<svg/)
+    expect(svg).toMatch(/<\/svg>$/)
+  })
+})
+
+describe('renderQrPng', () => {
+  /**
+   * Splits a PNG file into its chunks.
+   * @param {Uint8Array} png The PNG file.
+   * @returns {Array<{type: string, data: Uint8Array}>}
+   */
+  const readChunks = (png) => {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength)
+    const chunks = []
+    for (let offset = 8; offset < png.byteLength;) {
+      const length = view.getUint32(offset)
+      const type = new TextDecoder().decode(png.subarray(offset + 4, offset + 8))
+      chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length) })
+      offset += 12 + length
+    }
+    return chunks
+  }
+
+  it('should render a greyscale PNG with the modules scaled up', async () => {
+    const png = await renderQrPng(JOIN_URL, 2)
+    const { size, data } = encode(JOIN_URL, { ecc: 'M', border: 4 })
+
+    const chunks = readChunks(png)
+    expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND'])
+
+    const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset)
+    expect(header.getUint32(0)).toBe(size * 2)
+    expect(header.getUint32(4)).toBe(size * 2)
+
+    const pixels = inflateSync(chunks[1].data)
+    const scanlineLength = size * 2 + 1
+    expect(pixels.byteLength).toBe(scanlineLength * size * 2)
+    // The top-left corner of the finder pattern sits just inside the quiet zone.
+    expect(data[4][4]).toBe(true)
+    expect(pixels[(4 * 2) * scanlineLength + 1 + 4 * 2]).toBe(0x00)
+    expect(pixels[1]).toBe(0xff)
+  })
+})
@@ -0,0 +1,58 @@
+import { DurableObject } from 'cloudflare:workers'
+import { getMimeType } from 'hono/utils/mime'
+import { StatusCodes } from 'http-status-codes'
+
+import TokenBucket from './token-bucket.mjs'
+
+const BUCKET = 'bucket'
+
+/**
+ * A Durable Object holding one token bucket, addressed by name (e.g. the client IP).
+ * POST `{capacity, refillPerSecond}` to take a token; the response is `{allowed, retryAfter}`.
+ */
+export class RateLimiter extends DurableObject {
+  /** @type {DurableObjectState} */
+  ctx
+
+  /** @type {string} */
+  shortId
+
+  /**
+   * Creates an instance of the RateLimiter Durable Object.
+   * @param {DurableObjectState} ctx
+   * @param {object} env
+   */
+  constructor (ctx, env) {
+    super(ctx, env)
+    this.ctx = ctx
+    this.shortId = String(ctx.id).slice(-5)
+  }
+
+  /**
+   * Takes a token from the bucket, creating a full bucket if there is none yet.
+   * @param {Request} request A POST request carrying the bucket parameters as JSON.
+   * @returns {Promise<Response>}
+   */
+  async fetch (request) {
+    const { capacity, refillPerSecond } = await request.json()
+    const state = await this.ctx.storage.get(BUCKET)
+    const bucket = new TokenBucket(capacity, refillPerSecond, state)
+    const result = bucket.take()
+
+    await this.ctx.storage.put(BUCKET, bucket.toJSON())
+    // Once the bucket is full again it is indistinguishable from a new one, so forget it then.
+    await this.ctx.storage.setAlarm(Date.now() + bucket.getTimeUntilFull())
+
+    if (!result.allowed) {
+      console.warn(`[RL ${this.shortId}] Throttled, retry after ${result.retryAfter} s`)
+    }
+    return new Response(JSON.stringify(result), {
+      status: StatusCodes.OK,
+      headers: { 'Content-Type': getMimeType('json') }
+    })
+  }
+
+  async alarm () {
+    await this.ctx.storage.deleteAll()
+  }
+}
@@ -1,14 +1,42 @@
+import { decode, encode } from '@msgpack/msgpack'
 import { DurableObject } from 'cloudflare:workers'
+import { getMimeType } from 'hono/utils/mime'
 import HttpMethods from 'http-methods-constants'
 import { ReasonPhrases, StatusCodes } from 'http-status-codes'
 import WsStatusCodes from 'websocket-event-codes'
 
+import { decodeBinaryRecipient, getBinaryBody, stampBinarySender } from './binary-frame.mjs'
+import closeCodes from './constants/close-codes.mjs'
+import encodings from './constants/encodings.mjs'
+import errorCodes from './constants/error-codes.mjs'
+import imageFormats from './constants/image-formats.mjs'
+import messageKinds from './constants/message-kinds.mjs'
+import metricNames from './constants/metric-names.mjs'
 import searchParamsConstants from './constants/search-params.mjs'
+import singletonPolicies from './constants/singleton-policies.mjs'
 import slugs from './constants/slugs.mjs'
-import { deviceTags, labels, websocketTags } from './constants/tags.mjs'
+import { deviceTags, knownDeviceTags, labels, websocketTags } from './constants/tags.mjs'
+import transcriptFormats from './constants/transcript-formats.mjs'
+import SessionFull from './errors/session-full.mjs'
+import SessionNotFound from './errors/session-not-found.mjs'
+import SessionRevoked from './errors/session-revoked.mjs'
 import SingletonViolation from './errors/singleton-violation.mjs'
 import TokenError from './errors/token-error.mjs'
+import TokenExpired from './errors/token-expired.mjs'
+import ValidationError from './errors/validation-error.mjs'
+import { getFrameBytes, validateFrameSize, validatePublicKey, validateRelayMessage } from './message-validator.mjs'
+import { incrementCounter, mergeCounters } from './metrics.mjs'
+import parseEnvInteger from './parse-env-integer.mjs'
+import { getCapabilities, LEGACY_PROTOCOL_VERSION, negotiateProtocol } from './protocol.mjs'
+import { renderQrPng, renderQrSvg } from './qr-code.mjs'
+import { resolveSessionOptions } from './session-options.mjs'
+import { notifySessionRegistry } from './session-registry.mjs'
+import TokenBucket from './token-bucket.mjs'
 import getNewToken from './token-generator.mjs'
+import { formatJsonLines, formatStrokeLog, Transcript } from './transcript.mjs'
+
+// The most of a `User-Agent` header kept for the join request of a pending tablet.
+const MAX_USER_AGENT_LENGTH = 256
 
 /**
  * @typedef WebSocketPair
@@ -24,17 +52,118 @@ const getWebSocketPair = () => {
   return new globalThis.WebSocketPair()
 }
 
+/**
+ * Creates the request/response pair the runtime answers pings with, without waking the object.
+ * Only text frames that are exactly this ping match, anything else still reaches `webSocketMessage`.
+ * @returns {WebSocketRequestResponsePair}
+ */
+const getPingAutoResponse = () => {
+  return new globalThis.WebSocketRequestResponsePair(
+    JSON.stringify({ type: labels.PING }),
+    JSON.stringify({ type: labels.PONG })
+  )
+}
+
 /**
  * @typedef {object} Env
  * @property {DurableObjectNamespace<RelaySession>} RELAY_SESSION
+ * @property {string} [RECONNECT_GRACE_SECONDS] How long a dropped client may take to resume before the session gives up on it.
+ * @property {string} [IDLE_TIMEOUT_SECONDS] How long a socket may stay silent, pings included, before it is evicted as half-open.
+ * @property {string} [MAX_QUEUED_MESSAGES] How many messages are kept for each offline recipient.
+ * @property {string} [MAX_QUEUED_MESSAGE_AGE_SECONDS] How long a queued message is kept before it is discarded.
+ * @property {string} [REQUEST_TIMEOUT_SECONDS] How long a request waits for its response, and the longest timeout a request may ask for.
+ * @property {string} [MAX_PENDING_REQUESTS] How many requests may wait for their response at once.
+ * @property {string} [MESSAGE_BURST] How many frames a socket may send in a burst.
+ * @property {string} [MESSAGES_PER_SECOND] How many frames per second a socket may send on average.
+ * @property {string} [MAX_FRAME_BYTES] The largest frame a client may send.
+ * @property {string} [VALIDATE_PAYLOADS] Set to `false` to relay payloads of known types without checking their schema.
+ * @property {string} [TABLET_TOKEN_TTL_SECONDS] The default lifetime of a tablet join token.
+ * @property {string} [PC_TOKEN_TTL_SECONDS] The default lifetime of the PC token.
+ * @property {string} [MAX_TOKEN_TTL_SECONDS] The longest token lifetime a session may ask for.
+ * @property {string} [OBSERVER_TOKEN_TTL_SECONDS] The default lifetime of the observer token.
+ * @property {string} [OBSERVER_PAYLOAD_TYPES] Comma-separated payload types of the broadcasts mirrored to observers.
+ * @property {string} [REQUIRE_TABLET_APPROVAL] Set to `true` to make joining tablets wait for the PC's approval by default.
+ * @property {string} [APPROVAL_TIMEOUT_SECONDS] How long a joining tablet may wait for the PC's approval before it is turned away.
+ * @property {string} [SESSION_EXPIRY_SECONDS] The default lifetime of a session nobody has connected to.
+ * @property {string} [MAX_SESSION_EXPIRY_SECONDS] The longest session expiry a session may ask for.
+ * @property {string} [KEEP_ALIVE_INTERVAL_SECONDS] The default interval of the keep-alive alarm.
+ * @property {string} [MIN_KEEP_ALIVE_INTERVAL_SECONDS] The shortest keep-alive interval a session may ask for.
+ * @property {string} [MAX_KEEP_ALIVE_INTERVAL_SECONDS] The longest keep-alive interval a session may ask for.
+ * @property {string} [MAX_TABLETS] The most tablets a session may hold, and the default cap.
+ * @property {string} [ROTATE_TABLET_TOKENS] Set to `false` to keep the tablet join token across joins by default.
+ * @property {string} [RECORD_TRANSCRIPTS] Set to `true` to record the relayed messages of every session by default.
+ * @property {string} [MAX_TRANSCRIPT_ENTRIES] How many relayed messages a session's transcript keeps.
+ * @property {DurableObjectNamespace<import('./metrics-aggregator.mjs').MetricsAggregator>} [METRICS_AGGREGATOR] Where traffic counters are reported.
+ * @property {DurableObjectNamespace<import('./session-registry.mjs').SessionRegistry>} [SESSION_REGISTRY] Where connection changes are reported.
+ */
+
+/**
+ * @typedef {object} SocketAttachment
+ * @property {number} connectedAt When the socket was accepted, in milliseconds since the epoch.
+ * @property {string | null} publicKey The public key the client registered when it connected, if any.
+ * @property {boolean} [pending] Set while a joining tablet waits for the PC to approve it.
+ * @property {number} [approvalDeadline] When a pending tablet is turned away if the PC has not answered, in milliseconds since the epoch.
+ * @property {string | null} [userAgent] The `User-Agent` a pending tablet joined with, repeated in its join request.
+ * @property {number} [lastActivityAt] When the socket last sent a frame that reached `webSocketMessage`, in milliseconds since the epoch.
+ * @property {boolean} [evicted] Set once the socket has been evicted, as half-open or superseded, and its disconnect handled.
+ */
+
+/**
+ * @typedef {object} QueuedMessage
+ * @property {object} message The relay message, exactly as it would have been sent.
+ * @property {number} queuedAt When the message was queued, in milliseconds since the epoch.
+ */
+
+/**
+ * @typedef {object} PendingRequest
+ * @property {{type: string, id: number | null}} caller The client that sent the request.
+ * @property {{type: string, id: number}} target The client the request was relayed to.
+ * @property {string} requestId The ID the caller gave the request.
+ * @property {*} [messageId] The client-supplied `id` of the request message, if any.
+ * @property {number} deadline When the request times out, in milliseconds since the epoch.
  */
 
 export class RelaySession extends DurableObject {
-  sessionAlarmTime = 5 * 60 * 1000
-  keepAliveInterval = 30 * 1000
+  reconnectGracePeriod = 60 * 1000
+  idleTimeout = 120 * 1000
+  approvalTimeout = 5 * 60 * 1000
+  maxQueuedMessages = 100
+  maxQueuedMessageAge = 5 * 60 * 1000
+  requestTimeout = 30 * 1000
+  maxPendingRequests = 100
+  messageBurst = 60
+  messagesPerSecond = 30
+  maxFrameBytes = 64 * 1024
+  validatePayloads = true
+  observerPayloadTypes = ['stroke', 'translation']
+  maxTranscriptEntries = 10000
+  maxTranscriptPageSize = 1000
+
+  /**
+   * The message rate limit of each socket. Kept in memory only, so a bucket starts
+   * full again after the object wakes from hibernation, which only happens once the
+   * socket has been quiet anyway.
+   * @type {WeakMap<WebSocket, TokenBucket>}
+   */
+  messageBuckets = new WeakMap()
+
+  /**
+   * Sockets already being disconnected for exceeding their rate limit.
+   * @type {WeakSet<WebSocket>}
+   */
+  throttledSockets = new WeakSet()
+
+  /**
+   * The traffic counters of the session: the running totals, the part not yet reported
+   * to the MetricsAggregator and the totals of each client, keyed by `<type>:<id>`.
+   * @type {{totals: import('./metrics.mjs').Counters, unreported: import('./metrics.mjs').Counters, clients: Object<string, import('./metrics.mjs').Counters>}}
+   */
+  metrics = { totals: {}, unreported: {}, clients: {} }
 
   /** @type {DurableObjectState<Env>} */
   ctx
+  /** @type {Env} */
+  env
   newTabletToken
 
   /** @type {string} */
@@ -47,22 +176,108 @@ export class RelaySession extends DurableObject {
   constructor (ctx, env) {
     super(ctx, env)
     this.ctx = ctx
+    this.env = env
     this.shortId = String(ctx.id).slice(-5)
+
+    this.reconnectGracePeriod = parseEnvInteger(env?.RECONNECT_GRACE_SECONDS, this.reconnectGracePeriod / 1000) * 1000
+    this.idleTimeout = parseEnvInteger(env?.IDLE_TIMEOUT_SECONDS, this.idleTimeout / 1000) * 1000
+    this.approvalTimeout = parseEnvInteger(env?.APPROVAL_TIMEOUT_SECONDS, this.approvalTimeout / 1000) * 1000
+    this.maxQueuedMessages = parseEnvInteger(env?.MAX_QUEUED_MESSAGES, this.maxQueuedMessages)
+    this.maxQueuedMessageAge = parseEnvInteger(env?.MAX_QUEUED_MESSAGE_AGE_SECONDS, this.maxQueuedMessageAge / 1000) * 1000
+    this.requestTimeout = parseEnvInteger(env?.REQUEST_TIMEOUT_SECONDS, this.requestTimeout / 1000) * 1000
+    this.maxPendingRequests = parseEnvInteger(env?.MAX_PENDING_REQUESTS, this.maxPendingRequests)
+    this.messageBurst = parseEnvInteger(env?.MESSAGE_BURST, this.messageBurst)
+    // A bucket that never refills would throttle a socket for good.
+    this.messagesPerSecond = Math.max(parseEnvInteger(env?.MESSAGES_PER_SECOND, this.messagesPerSecond), 1)
+    this.maxFrameBytes = parseEnvInteger(env?.MAX_FRAME_BYTES, this.maxFrameBytes)
+    this.validatePayloads = env?.VALIDATE_PAYLOADS !== 'false'
+    if (env?.OBSERVER_PAYLOAD_TYPES !== undefined) {
+      this.observerPayloadTypes = env.OBSERVER_PAYLOAD_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    }
+    this.maxTranscriptEntries = parseEnvInteger(env?.MAX_TRANSCRIPT_ENTRIES, this.maxTranscriptEntries)
+    this.transcript = new Transcript(ctx.storage.sql, this.maxTranscriptEntries)
+    ctx.setWebSocketAutoResponse(getPingAutoResponse())
+    ctx.blockConcurrencyWhile(async () => {
+      this.metrics = (await ctx.storage.get(labels.METRICS)) ?? this.metrics
+    })
     console.debug(`[DO ${this.shortId}] Constructor called`)
   }
 
   /**
-   * Initializes the session by storing the secret token and setting the initial expiry alarm.
+   * Initializes the session by storing its options and the secret tokens with their expiry, and setting the initial expiry alarm.
+   * The observer token is made here, as only the PC needs it to hand out to caption displays.
    * This is called once when the session is first created.
    * @param {string} tabletConnectionToken The secret token for authenticating the tablet.
    * @param {string} pcConnectionToken The secret token for authenticating the PC.
+   * @param {import('./session-options.mjs').SessionOptions} [options] The options the session was created with.
+   * @param {string} [sessionId] The ID the session is known by, for reports to the SessionRegistry.
+   * @returns {Promise<{tabletConnectionTokenExpiresAt: number, pcConnectionTokenExpiresAt: number, observerConnectionToken: string, observerConnectionTokenExpiresAt: number}>}
    */
-  async initialize (tabletConnectionToken, pcConnectionToken) {
+  async initialize (tabletConnectionToken, pcConnectionToken, options = resolveSessionOptions({}, this.env), sessionId = undefined) {
+    const now = Date.now()
+    const tabletConnectionTokenExpiresAt = now + options.tabletTokenTtlSeconds * 1000
+    const pcConnectionTokenExpiresAt = now + options.pcTokenTtlSeconds * 1000
+    const observerConnectionToken = getNewToken()
+    const observerConnectionTokenExpiresAt = now + options.observerTokenTtlSeconds * 1000
+
+    await this.ctx.storage.put(labels.CREATED_AT, now)
+    if (sessionId !== undefined) {
+      await this.ctx.storage.put(labels.SESSION_ID, sessionId)
+    }
+    await this.ctx.storage.put(labels.SESSION_OPTIONS, options)
     await this.ctx.storage.put(labels.TABLET_CONNECTION_TOKEN, tabletConnectionToken)
+    await this.ctx.storage.put(labels.TABLET_TOKEN_EXPIRES_AT, tabletConnectionTokenExpiresAt)
     await this.ctx.storage.put(labels.PC_CONNECTION_TOKEN, pcConnectionToken)
+    await this.ctx.storage.put(labels.PC_TOKEN_EXPIRES_AT, pcConnectionTokenExpiresAt)
+    await this.ctx.storage.put(labels.OBSERVER_CONNECTION_TOKEN, observerConnectionToken)
+    await this.ctx.storage.put(labels.OBSERVER_TOKEN_EXPIRES_AT, observerConnectionTokenExpiresAt)
     console.debug(`[DO ${this.shortId}] initialize() called, tokens stored`)
-    await this.ctx.storage.setAlarm(Date.now() + this.sessionAlarmTime)
+    await this.ctx.storage.setAlarm(now + options.sessionExpirySeconds * 1000)
     console.debug(`[DO ${this.shortId}] Session expiry alarm set`)
+    return { tabletConnectionTokenExpiresAt, pcConnectionTokenExpiresAt, observerConnectionToken, observerConnectionTokenExpiresAt }
+  }
+
+  /**
+   * Reads the options the session was created with. Options the session was created without,
+   * including any added since, fall back to the defaults.
+   * @returns {Promise<import('./session-options.mjs').SessionOptions>}
+   */
+  async getSessionOptions () {
+    return {
+      ...resolveSessionOptions({}, this.env),
+      ...await this.ctx.storage.get(labels.SESSION_OPTIONS)
+    }
+  }
+
+  /**
+   * Checks a presented connection token against the stored one.
+   * Throws a TokenError if it does not match and a TokenExpired if it matches but is past its expiry.
+   * @param {string | null} presentedToken The token sent by the client.
+   * @param {string} tokenLabel The storage key of the expected token.
+   * @param {string} expiresAtLabel The storage key of the token's expiry.
+   */
+  async verifyToken (presentedToken, tokenLabel, expiresAtLabel) {
+    const storedToken = await this.ctx.storage.get(tokenLabel)
+    if (!presentedToken || presentedToken !== storedToken) {
+      throw new TokenError(labels.INVALID_TOKEN)
+    }
+    const expiresAt = await this.ctx.storage.get(expiresAtLabel)
+    if (expiresAt !== undefined && Date.now() >= expiresAt) {
+      throw new TokenExpired(labels.TOKEN_EXPIRED)
+    }
+  }
+
+  /**
+   * Replaces the tablet join token with a fresh one, valid for the session's tablet token lifetime.
+   * @returns {Promise<number>} When the new token expires, in milliseconds since the epoch.
+   */
+  async issueTabletToken () {
+    const { tabletTokenTtlSeconds } = await this.getSessionOptions()
+    const expiresAt = Date.now() + tabletTokenTtlSeconds * 1000
+    this.newTabletToken = getNewToken()
+    await this.ctx.storage.put(labels.TABLET_CONNECTION_TOKEN, this.newTabletToken)
+    await this.ctx.storage.put(labels.TABLET_TOKEN_EXPIRES_AT, expiresAt)
+    return expiresAt
   }
 
   /**
@@ -72,22 +287,350 @@ export class RelaySession extends DurableObject {
    */
   enforceSingleton (deviceType) {
     // Enforce singleton PC connection
-    if (this.ctx.getWebSockets(`type:${deviceType}`).length > 0) {
+    if (this.countSockets(`${websocketTags.TYPE}:${deviceType}`) > 0) {
       const message = `A ${deviceType} is already connected to this session.`
       console.warn(`[DO ${this.shortId}] Rejected second ${deviceType} connection.`)
       throw new SingletonViolation(message)
     }
   }
 
+  /**
+   * Closes every socket of a device type to make way for a new connection that takes over.
+   * The remaining participants stay connected.
+   * @param {string} deviceType The type of device being taken over (e.g., 'pc').
+   * @param {string} reason A human-readable string explaining the reason for closure.
+   */
+  async evictSingleton (deviceType, reason) {
+    const sockets = this.iterateOverSockets(socket => socket, `${websocketTags.TYPE}:${deviceType}`)
+    for (const socket of sockets) {
+      console.debug(`[DO ${this.shortId}] Evicting ${deviceType}: ${reason}`)
+      await this.supersede(socket, deviceType, closeCodes.SUPERSEDED, reason)
+    }
+  }
+
+  /**
+   * Closes a socket whose client has connected again. It is marked as evicted first, so nothing
+   * is routed to it while its close completes, and its disconnect is handled right away.
+   * Sockets of any other type than the reconnecting client's are left alone.
+   * @param {WebSocket} socket The stale socket.
+   * @param {string} clientType The type of the client that connected again.
+   * @param {number} code The close code to send.
+   * @param {string} reason A human-readable string explaining the reason for closure.
+   */
+  async supersede (socket, clientType, code, reason) {
+    const clientInfo = this.getClientInfo(socket)
+    if (clientInfo.type !== clientType) {
+      console.warn(`[DO ${this.shortId}] Refusing to supersede ${clientInfo.type} (id: ${clientInfo.id}) for a ${clientType}`)
+      return
+    }
+    socket.serializeAttachment({ ...this.getAttachment(socket), evicted: true })
+    socket.close(code, reason)
+    await this.handleDisconnect(socket, code, reason)
+  }
+
+  /**
+   * Checks that an HTTP request carries the PC token, either as a bearer token or as the `token` search parameter.
+   * Throws a SessionNotFound if the session was never initialized and a TokenError if the token does not match.
+   * @param {Request} request The incoming HTTP request.
+   */
+  async authorizePc (request) {
+    const storedPcToken = await this.ctx.storage.get(labels.PC_CONNECTION_TOKEN)
+    if (storedPcToken === undefined) {
+      throw new SessionNotFound(labels.SESSION_NOT_FOUND)
+    }
+    const authorization = request.headers.get('Authorization')
+    const pcToken = authorization?.startsWith('Bearer ')
+      ? authorization.slice('Bearer '.length)
+      : new URL(request.url).searchParams.get(searchParamsConstants.TOKEN)
+    if (pcToken !== storedPcToken) {
+      throw new TokenError(labels.INVALID_TOKEN)
+    }
+  }
+
+  /**
+   * Returns the current tablet join token, replacing it first if it is missing or expired.
+   * The PC is told about a replacement so it can keep its own copy of the join URL current.
+   * @returns {Promise<{tabletConnectionToken: string, tabletConnectionTokenExpiresAt: number}>}
+   */
+  async ensureTabletToken () {
+    if (await this.ctx.storage.get(labels.PC_CONNECTION_TOKEN) === undefined) {
+      throw new SessionNotFound(labels.SESSION_NOT_FOUND)
+    }
+    let tabletConnectionToken = await this.ctx.storage.get(labels.TABLET_CONNECTION_TOKEN)
+    let tabletConnectionTokenExpiresAt = await this.ctx.storage.get(labels.TABLET_TOKEN_EXPIRES_AT)
+    if (tabletConnectionToken === undefined || tabletConnectionTokenExpiresAt <= Date.now()) {
+      tabletConnectionTokenExpiresAt = await this.issueTabletToken()
+      tabletConnectionToken = this.newTabletToken
+      this.iterateOverSockets(pcSocket => {
+        this.sendMessage(pcSocket, {
+          type: labels.TABLET_TOKEN,
+          newTabletToken: tabletConnectionToken,
+          expiresAt: tabletConnectionTokenExpiresAt
+        })
+      }, labels.PC_TYPE)
+    }
+    return { tabletConnectionToken, tabletConnectionTokenExpiresAt }
+  }
+
+  /**
+   * Hands out the current tablet join token for a claimed pairing code.
+   * Only the Worker can reach this, after it has used the pairing code up.
+   * @returns {Promise<Response>} A JSON response with the token and its expiry.
+   */
+  async getTabletToken () {
+    const tabletToken = await this.ensureTabletToken()
+    return new Response(JSON.stringify(tabletToken), {
+      status: StatusCodes.OK,
+      headers: { 'Content-Type': getMimeType('json') }
+    })
+  }
+
+  /**
+   * Renders the tablet join URL, with the current join token, as a QR code.
+   * @param {Request} request The incoming HTTP request. The optional `format` search parameter picks SVG (default) or PNG.
+   * @returns {Promise<Response>} The image.
+   */
+  async getQrCode (request) {
+    const url = new URL(request.url)
+    const format = url.searchParams.get(searchParamsConstants.FORMAT) ?? imageFormats.SVG
+    if (!Object.values(imageFormats).includes(format)) {
+      throw new ValidationError(errorCodes.INVALID_MESSAGE, `Unsupported image format: ${format}`)
+    }
+    const { tabletConnectionToken } = await this.ensureTabletToken()
+
+    const sessionPath = url.pathname.split('/').slice(0, -1).join('/')
+    const joinUrl = new URL(`${sessionPath}/${slugs.JOIN}`, url)
+    joinUrl.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:'
+    joinUrl.searchParams.set(searchParamsConstants.TOKEN, tabletConnectionToken)
+
+    const body = format === imageFormats.PNG
+      ? await renderQrPng(joinUrl.href)
+      : renderQrSvg(joinUrl.href)
+    return new Response(body, {
+      status: StatusCodes.OK,
+      headers: {
+        'Content-Type': getMimeType(`qr.${format}`),
+        // The code embeds a token that rotates on every join, so it must never be served stale.
+        'Cache-Control': 'no-store'
+      }
+    })
+  }
+
+  /**
+   * Exports a page of the session transcript.
+   * @param {Request} request The incoming HTTP request. The optional `format`, `after` and `limit` search parameters
+   * pick JSON Lines (default) or a plain-text stroke log, the sequence number to continue after and the page size.
+   * @returns {Response} The transcript page, with a `Link` header to the next page if there may be one.
+   */
+  getTranscript (request) {
+    const url = new URL(request.url)
+    const format = url.searchParams.get(searchParamsConstants.FORMAT) ?? transcriptFormats.JSONL
+    if (!Object.values(transcriptFormats).includes(format)) {
+      throw new ValidationError(errorCodes.INVALID_MESSAGE, `Unsupported transcript format: ${format}`)
+    }
+    const after = Number(url.searchParams.get(searchParamsConstants.AFTER) ?? 0)
+    if (!Number.isInteger(after) || after < 0) {
+      throw new ValidationError(errorCodes.INVALID_MESSAGE, `'${searchParamsConstants.AFTER}' must be a non-negative integer`)
+    }
+    const limit = Number(url.searchParams.get(searchParamsConstants.LIMIT) ?? this.maxTranscriptPageSize)
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxTranscriptPageSize) {
+      throw new ValidationError(errorCodes.INVALID_MESSAGE, `'${searchParamsConstants.LIMIT}' must be an integer between 1 and ${this.maxTranscriptPageSize}`)
+    }
+
+    const entries = this.transcript.read(after, limit)
+    const headers = {
+      'Content-Type': format === transcriptFormats.JSONL ? 'application/jsonl' : getMimeType('transcript.txt'),
+      'Cache-Control': 'no-store'
+    }
+    // A full page means there may be more, so point at the next one.
+    if (entries.length === limit) {
+      const next = new URL(url)
+      next.searchParams.set(searchParamsConstants.AFTER, entries.at(-1).seq)
+      headers.Link = `<${next.pathname}${next.search}>; rel="next"`
+    }
+    const body = format === transcriptFormats.JSONL ? formatJsonLines(entries) : formatStrokeLog(entries)
+    return new Response(body, { status: StatusCodes.OK, headers })
+  }
+
+  /**
+   * Counts an event for the session and, if a socket is given, for the client behind it.
+   * Counts are kept in memory and only written by `persistMetrics`, so counting costs no storage work.
+   * @param {string} name The metric name, one of `metricNames`.
+   * @param {Object<string, string | number>} [metricLabels] The labels of the counter.
+   * @param {WebSocket} [ws] The socket of the client the event belongs to.
+   * @param {number} [by] How much to count.
+   */
+  countMetric (name, metricLabels = {}, ws = undefined, by = 1) {
+    incrementCounter(this.metrics.totals, name, metricLabels, by)
+    incrementCounter(this.metrics.unreported, name, metricLabels, by)
+    if (ws) {
+      const { type, id } = this.getClientInfo(ws)
+      incrementCounter((this.metrics.clients[`${type}:${id}`] ??= {}), name, metricLabels, by)
+    }
+  }
+
+  /**
+   * Writes the counters to storage, so they survive the object being evicted from memory.
+   * Runs on the alarm and whenever a socket closes. Counts made since then are lost if the object
+   * is evicted first. Sessions that were never initialized keep nothing, so requests to made-up
+   * session IDs cannot leave data behind.
+   */
+  async persistMetrics () {
+    if (await this.ctx.storage.get(labels.PC_CONNECTION_TOKEN) === undefined) {
+      return
+    }
+    await this.ctx.storage.put(labels.METRICS, this.metrics)
+  }
+
+  /**
+   * Hands the counts made since the last report to the MetricsAggregator, then persists the counters.
+   * Counts that fail to arrive are kept for the next report.
+   */
+  async reportMetrics () {
+    const { METRICS_AGGREGATOR } = this.env ?? {}
+    if (METRICS_AGGREGATOR && Object.keys(this.metrics.unreported).length > 0) {
+      const { unreported } = this.metrics
+      this.metrics.unreported = {}
+      try {
+        const aggregator = METRICS_AGGREGATOR.get(METRICS_AGGREGATOR.idFromName(slugs.METRICS))
+        const response = await aggregator.fetch(new Request(`https://${slugs.METRICS}/${slugs.REPORT}`, {
+          method: HttpMethods.POST,
+          headers: { 'Content-Type': getMimeType('json') },
+          body: JSON.stringify(unreported)
+        }))
+        if (!response.ok) {
+          throw new Error(`Metrics aggregator answered ${response.status}`)
+        }
+      } catch (e) {
+        console.error(`[DO ${this.shortId}] Failed to report metrics:`, e)
+        mergeCounters(this.metrics.unreported, unreported)
+      }
+    }
+    await this.persistMetrics()
+  }
+
+  /**
+   * Sends a request about this session to the SessionRegistry.
+   * Failures are logged and otherwise ignored, as the registry is only for admins.
+   * @param {string} slug The registry path, `slugs.UPDATE` or `slugs.REMOVE`.
+   * @param {object} [fields] Anything to send besides the session ID.
+   */
+  async notifyRegistry (slug, fields = {}) {
+    const { SESSION_REGISTRY } = this.env ?? {}
+    const sessionId = await this.ctx.storage.get(labels.SESSION_ID)
+    if (!SESSION_REGISTRY || sessionId === undefined) {
+      return
+    }
+    await notifySessionRegistry(SESSION_REGISTRY, slug, { sessionId, ...fields }, `[DO ${this.shortId}]`)
+  }
+
+  /**
+   * Tells the SessionRegistry who is connected right now.
+   */
+  async reportConnections () {
+    await this.notifyRegistry(slugs.UPDATE, {
+      createdAt: await this.ctx.storage.get(labels.CREATED_AT),
+      pcConnected: this.countSockets(labels.PC_TYPE) > 0,
+      tablets: this.countSockets(labels.TABLET_TYPE),
+      observers: this.countSockets(labels.OBSERVER_TYPE)
+    })
+  }
+
+  /**
+   * Describes the session for an admin. Only the Worker can reach this, after it has checked the admin secret.
+   * @returns {Promise<Response>} A JSON response with the session ID, the fields of `describeStatus` and the other sockets.
+   */
+  async getAdminDetails () {
+    if (await this.ctx.storage.get(labels.PC_CONNECTION_TOKEN) === undefined) {
+      throw new SessionNotFound(labels.SESSION_NOT_FOUND)
+    }
+    return new Response(JSON.stringify({
+      sessionId: (await this.ctx.storage.get(labels.SESSION_ID)) ?? null,
+      ...await this.describeStatus(),
+      observers: this.countSockets(labels.OBSERVER_TYPE),
+      pendingTablets: this.iterateOverSockets(socket => this.isPending(socket), labels.TABLET_TYPE, { includePending: true }).filter(Boolean).length
+    }), {
+      status: StatusCodes.OK,
+      headers: { 'Content-Type': getMimeType('json') }
+    })
+  }
+
+  /**
+   * Shows the traffic counters of the session and of each of its clients.
+   * @returns {Response} A JSON response with the `totals` and the `clients` counters.
+   */
+  getMetrics () {
+    const { totals, clients } = this.metrics
+    return new Response(JSON.stringify({ totals, clients }), {
+      status: StatusCodes.OK,
+      headers: { 'Content-Type': getMimeType('json') }
+    })
+  }
+
+  /**
+   * Collects the pairing state of the session.
+   * @returns {Promise<object>} Timestamps, connected clients and the tablet ID counter.
+   */
+  async describeStatus () {
+    const tablets = this.iterateOverSockets(socket => {
+      const { connectedAt, pending, approvalDeadline } = this.getAttachment(socket)
+      return pending
+        ? { id: this.getClientInfo(socket).id, connectedAt, pending, approvalDeadline }
+        : { id: this.getClientInfo(socket).id, connectedAt }
+    }, labels.TABLET_TYPE, { includePending: true })
+
+    return {
+      createdAt: (await this.ctx.storage.get(labels.CREATED_AT)) ?? null,
+      alarmAt: await this.ctx.storage.getAlarm(),
+      pcConnected: this.countSockets(labels.PC_TYPE) > 0,
+      pcReconnectDeadline: (await this.ctx.storage.get(labels.PC_RECONNECT_DEADLINE)) ?? null,
+      tablets,
+      nextTabletId: this.nextTabletId
+    }
+  }
+
+  /**
+   * Describes the pairing state of the session for the PC.
+   * @returns {Promise<Response>} A JSON response with the fields of `describeStatus`.
+   */
+  async getStatus () {
+    return new Response(JSON.stringify(await this.describeStatus()), {
+      status: StatusCodes.OK,
+      headers: { 'Content-Type': getMimeType('json') }
+    })
+  }
+
+  /**
+   * Ends the session for good: every socket is closed, all session storage is wiped and
+   * a tombstone is left behind so later requests fail with 410 GONE.
+   * @returns {Promise<Response>}
+   */
+  async revoke () {
+    console.debug(`[DO ${this.shortId}] Revoking session`)
+    this.iterateOverSockets(socket => {
+      socket.close(WsStatusCodes.NORMAL_CLOSURE, labels.SESSION_CLOSED_BY_REVOCATION)
+    }, undefined, { includePending: true })
+    await this.reportMetrics()
+    await this.notifyRegistry(slugs.REMOVE)
+    await this.ctx.storage.deleteAlarm()
+    await this.ctx.storage.deleteAll()
+    await this.ctx.storage.put(labels.REVOKED_AT, Date.now())
+    this.metrics = { totals: {}, unreported: {}, clients: {} }
+    this.newTabletToken = undefined
+    this.nextTabletId = 0
+    return new Response(null, { status: StatusCodes.NO_CONTENT })
+  }
+
   /**
    * The main entry point for all requests to the Durable Object.
-   * It handles session initialization via POST and WebSocket upgrade requests via GET.
+   * It handles session initialization via POST, revocation via DELETE, the status query and WebSocket upgrade requests via GET.
    * @param {Request} request The incoming HTTP request.
    * @returns {Promise<Response>}
    */
   async fetch (request) {
     let clientType
     let clientId
+    let resumeToken
 
     /**
      * @type {WebSocket}
@@ -98,14 +641,68 @@ export class RelaySession extends DurableObject {
      */
     let server
     try {
+      // A revoked session stays gone
+      if (await this.ctx.storage.get(labels.REVOKED_AT) !== undefined) {
+        throw new SessionRevoked(labels.SESSION_REVOKED)
+      }
+
       // Ensure the client ID counter is initialized before use.
       await this.getNextTabletId()
 
       // Handle POST initialization
       if (request.method === HttpMethods.POST) {
-        const { tabletConnectionToken, pcConnectionToken } = await request.json()
-        await this.initialize(tabletConnectionToken, pcConnectionToken)
-        return new Response(labels.INITIALIZATION_SUCCESSFUL, { status: StatusCodes.OK })
+        const { tabletConnectionToken, pcConnectionToken, options, sessionId } = await request.json()
+        const expiries = await this.initialize(tabletConnectionToken, pcConnectionToken, options, sessionId)
+        return new Response(JSON.stringify({ message: labels.INITIALIZATION_SUCCESSFUL, ...expiries }), {
+          status: StatusCodes.OK,
+          headers: { 'Content-Type': getMimeType('json') }
+        })
+      }
+
+      // Get client type from URL path
+      const url = new URL(request.url)
+      const { searchParams, pathname } = url
+      const pathEnd = pathname.split('/').at(-1)
+
+      // Handle plain HTTP queries
+      if (request.method === HttpMethods.GET && pathEnd === slugs.STATUS) {
+        await this.authorizePc(request)
+        return await this.getStatus()
+      }
+
+      if (request.method === HttpMethods.GET && pathEnd === slugs.TABLET_TOKEN) {
+        return await this.getTabletToken()
+      }
+
+      // The Worker only forwards these once the admin secret has been checked.
+      if (request.method === HttpMethods.GET && pathEnd === slugs.METRICS) {
+        return this.getMetrics()
+      }
+
+      if (request.method === HttpMethods.GET && pathEnd === slugs.ADMIN) {
+        return await this.getAdminDetails()
+      }
+
+      if (request.method === HttpMethods.DELETE && pathEnd === slugs.ADMIN) {
+        if (await this.ctx.storage.get(labels.PC_CONNECTION_TOKEN) === undefined) {
+          throw new SessionNotFound(labels.SESSION_NOT_FOUND)
+        }
+        return await this.revoke()
+      }
+
+      if (request.method === HttpMethods.GET && pathEnd === slugs.TRANSCRIPT) {
+        await this.authorizePc(request)
+        return this.getTranscript(request)
+      }
+
+      if (request.method === HttpMethods.GET && pathEnd === slugs.QR) {
+        await this.authorizePc(request)
+        return await this.getQrCode(request)
+      }
+
+      if (request.method === HttpMethods.DELETE) {
+        await this.authorizePc(request)
+        return await this.revoke()
       }
 
       // WebSocket upgrade
@@ -115,57 +712,181 @@ export class RelaySession extends DurableObject {
 
       ;[client, server] = Object.values(getWebSocketPair())
 
-      // Get client type from URL path
-      const url = new URL(request.url)
-      const { searchParams, pathname } = url
-      const pathEnd = pathname.split('/').at(-1)
+      const encoding = searchParams.get(searchParamsConstants.ENCODING) ?? encodings.JSON
+      if (!Object.values(encodings).includes(encoding)) {
+        throw new ValidationError(errorCodes.INVALID_MESSAGE, `Unsupported encoding: ${encoding}`)
+      }
+
+      // Clients without a subprotocol are older plugins and speak the legacy version.
+      const { version: protocolVersion, subprotocol } = negotiateProtocol(request.headers.get('Sec-WebSocket-Protocol'))
 
       let publicKey = request.headers.get('X-Public-Key')
       if (!publicKey) {
-        publicKey = searchParams.get('publicKey')
+        publicKey = searchParams.get(searchParamsConstants.PUBLIC_KEY)
       }
+      // An oversized key would only fail once the socket is accepted, when it no longer fits the attachment.
+      validatePublicKey(publicKey)
       console.debug(`[DO ${this.shortId}] Client public key: ${publicKey}`)
+      // Kept in the attachment of pending tablets, which is limited in size.
+      const userAgent = request.headers.get('User-Agent')?.slice(0, MAX_USER_AGENT_LENGTH) ?? null
+      let pcPublicKey
+      let pending = false
+      let approvalDeadline
 
       const connect = async () => {
         clientType = deviceTags.PC
-        const pcToken = searchParams.get(searchParamsConstants.TOKEN)
 
-        this.enforceSingleton(clientType)
+        const { singletonPolicy } = await this.getSessionOptions()
+        if (singletonPolicy !== singletonPolicies.TAKEOVER) {
+          this.enforceSingleton(clientType)
+        }
 
-        const storedPcToken = await this.ctx.storage.get(labels.PC_CONNECTION_TOKEN)
-        if (pcToken !== storedPcToken) {
-          throw new TokenError(labels.INVALID_TOKEN)
+        const pcResumeToken = searchParams.get(searchParamsConstants.RESUME)
+        const pcReconnectDeadline = await this.ctx.storage.get(labels.PC_RECONNECT_DEADLINE)
+        if (pcResumeToken) {
+          // Resuming is only possible while the reconnect window is still open.
+          const storedResumeToken = await this.ctx.storage.get(labels.PC_RESUME_TOKEN)
+          if (pcResumeToken !== storedResumeToken || !(pcReconnectDeadline > Date.now())) {
+            throw new TokenError(labels.INVALID_TOKEN)
+          }
+        } else {
+          const pcToken = searchParams.get(searchParamsConstants.TOKEN)
+          await this.verifyToken(pcToken, labels.PC_CONNECTION_TOKEN, labels.PC_TOKEN_EXPIRES_AT)
         }
         clientId = 0 // PC is always ID 0
+
+        // Only a PC that proved itself may push the old one out.
+        if (singletonPolicy === singletonPolicies.TAKEOVER) {
+          await this.evictSingleton(clientType, labels.PC_SUPERSEDED)
+        }
+
+        // Every PC connection gets a fresh resume token for its next unexpected drop.
+        resumeToken = getNewToken()
+        await this.ctx.storage.put(labels.PC_RESUME_TOKEN, resumeToken)
+
+        // Kept in storage so tablets joining while the PC is away still learn its key.
+        await this.ctx.storage.put(labels.PC_PUBLIC_KEY, publicKey)
+
+        if (pcReconnectDeadline !== undefined) {
+          await this.ctx.storage.delete(labels.PC_RECONNECT_DEADLINE)
+          console.debug(`[DO ${this.shortId}] PC is back, reconnect window closed`)
+        }
+        this.iterateOverSockets(tabletSocket => {
+          this.sendMessage(tabletSocket, pcReconnectDeadline !== undefined
+            ? {
+                type: labels.PC_RECONNECTED,
+                id: clientId,
+                resumed: Boolean(pcResumeToken),
+                publicKey,
+                timestamp: Date.now()
+              }
+            : {
+                type: labels.PC_CONNECTED,
+                id: clientId,
+                publicKey,
+                timestamp: Date.now()
+              })
+        }, labels.TABLET_TYPE)
       }
 
+      /**
+       * @returns {Promise<boolean>} Whether the tablet has to wait for the PC's approval.
+       */
       const join = async () => {
-        const token = searchParams.get(searchParamsConstants.TOKEN)
-        const storedToken = await this.ctx.storage.get(labels.TABLET_CONNECTION_TOKEN)
-        if (token !== storedToken) {
-          throw new TokenError(labels.INVALID_TOKEN)
+        let newTabletTokenExpiresAt
+        let joinRequested = false
+        const sessionOptions = await this.getSessionOptions()
+        const tabletResumeTokens = (await this.ctx.storage.get(labels.TABLET_RESUME_TOKENS)) || {}
+        const tabletResumeToken = searchParams.get(searchParamsConstants.RESUME)
+        if (tabletResumeToken) {
+          // A returning tablet proves its identity with its own resume token,
+          // which leaves the shared join token untouched.
+          if (!Object.hasOwn(tabletResumeTokens, tabletResumeToken)) {
+            throw new TokenError(labels.INVALID_TOKEN)
+          }
+          clientId = tabletResumeTokens[tabletResumeToken]
+        } else {
+          const token = searchParams.get(searchParamsConstants.TOKEN)
+          await this.verifyToken(token, labels.TABLET_CONNECTION_TOKEN, labels.TABLET_TOKEN_EXPIRES_AT)
+          // Tablets awaiting approval hold a seat too, so a flood of join requests cannot exceed the cap.
+          if (this.countSockets(labels.TABLET_TYPE) >= sessionOptions.maxTablets) {
+            throw new SessionFull(labels.SESSION_FULL)
+          }
         }
         clientType = deviceTags.TABLET
+        pcPublicKey = (await this.ctx.storage.get(labels.PC_PUBLIC_KEY)) ?? null
+
+        await this.ctx.storage.delete(labels.TABLET_RECONNECT_DEADLINE)
         // Tablet connected - cancel expiry alarm
         await this.ctx.storage.deleteAlarm()
         // Set keep-alive alarm
-        await this.ctx.storage.setAlarm(Date.now() + this.keepAliveInterval)
+        await this.ctx.storage.setAlarm(await this.getNextAlarmTime())
+
+        if (tabletResumeToken) {
+          resumeToken = tabletResumeToken
+          // The old socket may not have been detected as dead yet.
+          // Tablet IDs start at 0 like the PC's, so the ID tag alone could match the PC.
+          const staleSockets = this.iterateOverSockets(socket => socket, `${websocketTags.ID}:${clientId}`)
+            .filter(socket => this.getClientInfo(socket).type === deviceTags.TABLET)
+          for (const staleSocket of staleSockets) {
+            console.debug(`[DO ${this.shortId}] Closing stale socket of resumed tablet (id: ${clientId})`)
+            await this.supersede(staleSocket, deviceTags.TABLET, WsStatusCodes.NORMAL_CLOSURE, labels.TABLET_SUPERSEDED)
+          }
+        } else {
+          clientId = this.nextTabletId++
+          await this.ctx.storage.put(labels.TABLET_ID_COUNTER, this.nextTabletId)
+
+          // Without rotation the join token stays valid for further tablets until it expires.
+          if (sessionOptions.rotateTabletTokens) {
+            newTabletTokenExpiresAt = await this.issueTabletToken()
+          }
 
-        clientId = this.nextTabletId++
-        await this.ctx.storage.put(labels.TABLET_ID_COUNTER, this.nextTabletId)
+          // In approval mode the tablet only gets its resume token once the PC lets it in.
+          if (sessionOptions.requireApproval) {
+            joinRequested = true
+            // Pending tablets hold a seat, so one the PC never answers must not keep it forever.
+            approvalDeadline = this.approvalTimeout > 0 ? Date.now() + this.approvalTimeout : undefined
+          } else {
+            resumeToken = await this.registerTabletResumeToken(clientId)
+          }
+        }
 
-        this.newTabletToken = getNewToken()
-        await this.ctx.storage.put(labels.TABLET_CONNECTION_TOKEN, this.newTabletToken)
         this.iterateOverSockets(pcSocket => {
-          pcSocket.send(JSON.stringify({
-            clientType,
-            id: clientId, // Let the PC know the ID of the new tablet
-            type: labels.TABLET_CONNECTED,
-            newTabletToken: this.newTabletToken,
-            publicKey,
-            timestamp: Date.now()
-          }))
+          if (joinRequested) {
+            this.sendMessage(pcSocket, {
+              ...this.getJoinRequest(clientId, { publicKey, userAgent, approvalDeadline }),
+              newTabletToken: sessionOptions.rotateTabletTokens ? this.newTabletToken : undefined,
+              newTabletTokenExpiresAt
+            })
+            return
+          }
+          this.sendMessage(pcSocket, tabletResumeToken
+            ? {
+                clientType,
+                id: clientId,
+                type: labels.TABLET_RECONNECTED,
+                publicKey,
+                timestamp: Date.now()
+              }
+            : {
+                clientType,
+                id: clientId, // Let the PC know the ID of the new tablet
+                type: labels.TABLET_CONNECTED,
+                newTabletToken: sessionOptions.rotateTabletTokens ? this.newTabletToken : undefined,
+                newTabletTokenExpiresAt,
+                publicKey,
+                timestamp: Date.now()
+              })
         }, labels.PC_TYPE)
+        return joinRequested
+      }
+
+      const watch = async () => {
+        const token = searchParams.get(searchParamsConstants.TOKEN)
+        await this.verifyToken(token, labels.OBSERVER_CONNECTION_TOKEN, labels.OBSERVER_TOKEN_EXPIRES_AT)
+        clientType = deviceTags.OBSERVER
+        clientId = (await this.ctx.storage.get(labels.OBSERVER_ID_COUNTER)) ?? 0
+        await this.ctx.storage.put(labels.OBSERVER_ID_COUNTER, clientId + 1)
       }
 
       switch (pathEnd) {
@@ -173,41 +894,84 @@ export class RelaySession extends DurableObject {
           await connect()
           break
         case slugs.JOIN:
-          await join()
+          pending = await join()
           break
-        default:
-          clientType = deviceTags.UNKNOWN
-          clientId = null
+        case slugs.WATCH:
+          await watch()
           break
+        default:
+          console.warn(`[DO ${this.shortId}] Rejected WebSocket on unknown path: ${pathname}`)
+          return new Response(labels.UNKNOWN_ENDPOINT, { status: StatusCodes.NOT_FOUND })
       }
 
       console.debug(`[DO ${this.shortId}] Accepted WebSocket with tag: [${clientType}] (id: ${clientId})`)
       const tags = [`${websocketTags.TYPE}:${clientType}`, `${websocketTags.ID}:${clientId}`]
+      if (encoding !== encodings.JSON) {
+        tags.push(`${websocketTags.ENCODING}:${encoding}`)
+      }
+      if (protocolVersion !== LEGACY_PROTOCOL_VERSION) {
+        tags.push(`${websocketTags.PROTOCOL}:${protocolVersion}`)
+      }
+      // Presence events are opt-in, so clients that do not expect them never get them.
+      if (searchParams.get(searchParamsConstants.PRESENCE) === 'true') {
+        tags.push(labels.PRESENCE_SUBSCRIBER)
+      }
       this.ctx.acceptWebSocket(server, tags)
+      this.countMetric(metricNames.CONNECTIONS, { type: clientType }, server)
+      server.serializeAttachment(pending
+        ? { connectedAt: Date.now(), publicKey, pending, approvalDeadline, userAgent }
+        : { connectedAt: Date.now(), publicKey })
 
       const taggedSockets = this.ctx.getWebSockets(`${websocketTags.TYPE}:${clientType}`)
       console.debug(`[DO ${this.shortId}] Now has ${taggedSockets.length} ${clientType} socket(s)`)
 
-      const welcomeMessage = {
-        clientType,
-        id: clientId,
-        type: labels.SYSTEM,
-        // publicKey,
-        message: labels.CONNECTION_ESTABLISHED,
-        newTabletToken: this.newTabletToken
+      if (pending) {
+        // The welcome is held back until the PC approves the tablet.
+        this.sendMessage(server, {
+          clientType,
+          id: clientId,
+          type: labels.APPROVAL_PENDING,
+          message: labels.AWAITING_APPROVAL
+        })
+      } else {
+        this.sendMessage(server, this.getWelcomeMessage(clientType, clientId, resumeToken, pcPublicKey, protocolVersion))
+        this.announcePresence(server, labels.PARTICIPANT_JOINED)
+      }
+
+      if (clientType === deviceTags.PC) {
+        // Tablets may have asked to join while no PC was there to answer.
+        this.sendJoinRequests(server)
       }
-      server.send(JSON.stringify(welcomeMessage))
+
+      if (resumeToken) {
+        // Only clients that can resume may have had messages queued for them.
+        await this.flushMessageQueue(server, { id: clientId, type: clientType })
+      }
+
+      await this.reportConnections()
 
       return new Response(null, {
         status: StatusCodes.SWITCHING_PROTOCOLS,
-        webSocket: client
+        webSocket: client,
+        headers: subprotocol ? { 'Sec-WebSocket-Protocol': subprotocol } : undefined
       })
     } catch (e) {
+      if (request.headers.get('Upgrade') === 'websocket') {
+        this.countMetric(metricNames.CONNECTIONS_REJECTED, { error: e.name })
+      }
       // Ensure the server-side socket is closed on error if it was created.
-      if (e instanceof SingletonViolation) {
+      if (e instanceof SingletonViolation || e instanceof SessionFull) {
         return new Response(e.message, { status: StatusCodes.CONFLICT })
       } else if (e instanceof TokenError) {
         return new Response(e.message, { status: StatusCodes.FORBIDDEN })
+      } else if (e instanceof TokenExpired) {
+        return new Response(e.message, { status: StatusCodes.UNAUTHORIZED })
+      } else if (e instanceof SessionNotFound) {
+        return new Response(e.message, { status: StatusCodes.NOT_FOUND })
+      } else if (e instanceof SessionRevoked) {
+        return new Response(e.message, { status: StatusCodes.GONE })
+      } else if (e instanceof ValidationError) {
+        return new Response(e.message, { status: StatusCodes.BAD_REQUEST })
       } else {
         console.error(`[DO ${this.shortId}] Uncaught exception:`, e)
         return new Response(ReasonPhrases.INTERNAL_SERVER_ERROR, { status: StatusCodes.INTERNAL_SERVER_ERROR })
@@ -215,6 +979,30 @@ export class RelaySession extends DurableObject {
     }
   }
 
+  /**
+   * Builds the message that tells a client it has been admitted to the session.
+   * @param {string} clientType The type of the client.
+   * @param {number | null} clientId The ID of the client.
+   * @param {string} [resumeToken] The token the client can resume with after an unexpected drop.
+   * @param {string | null} [pcPublicKey] The PC's public key, for tablets.
+   * @param {number} [protocolVersion] The protocol version negotiated with the client.
+   * @returns {object}
+   */
+  getWelcomeMessage (clientType, clientId, resumeToken, pcPublicKey, protocolVersion = LEGACY_PROTOCOL_VERSION) {
+    return {
+      clientType,
+      id: clientId,
+      type: labels.SYSTEM,
+      message: labels.CONNECTION_ESTABLISHED,
+      protocolVersion,
+      capabilities: getCapabilities(protocolVersion),
+      // Observers are read-only and must not be able to invite tablets.
+      newTabletToken: clientType === deviceTags.OBSERVER ? undefined : this.newTabletToken,
+      resumeToken,
+      pcPublicKey
+    }
+  }
+
   /**
    * @template T
    * @callback IterateSocketsCallback
@@ -224,14 +1012,329 @@ export class RelaySession extends DurableObject {
 
   /**
    * Iterates over active WebSocket connections, optionally filtered by a tag, and executes a callback for each.
+   * Tablets still waiting for approval are skipped unless asked for, so they never receive session traffic.
+   * Evicted sockets are always skipped, as the runtime may list them until their close completes.
    * @template T
    * @param {IterateSocketsCallback<T>} callback The function to execute for each socket.
    * @param {string} [tag] An optional tag to filter which WebSockets to iterate over.
+   * @param {{includePending?: boolean}} [options] Whether to include tablets waiting for approval.
    * @returns {Array<T>} An array containing the return value of the callback for each socket.
    */
-  iterateOverSockets (callback, tag = undefined) {
+  iterateOverSockets (callback, tag = undefined, { includePending = false } = {}) {
     const sockets = this.ctx.getWebSockets(tag)
-    return sockets.map(socket => callback(socket))
+    return sockets
+      .filter(socket => !this.getAttachment(socket).evicted)
+      .filter(socket => includePending || !this.isPending(socket))
+      .map(socket => callback(socket))
+  }
+
+  /**
+   * Counts the sockets with a tag, tablets awaiting approval included and evicted sockets left out.
+   * @param {string} [tag] The tag to count the sockets of, all sockets if omitted.
+   * @returns {number}
+   */
+  countSockets (tag = undefined) {
+    return this.iterateOverSockets(socket => socket, tag, { includePending: true }).length
+  }
+
+  /**
+   * Tells whether a socket belongs to a tablet still waiting for the PC's approval.
+   * @param {WebSocket} ws The WebSocket instance.
+   * @returns {boolean}
+   */
+  isPending (ws) {
+    return this.getAttachment(ws).pending === true
+  }
+
+  /**
+   * Reads the state stored alongside a socket, which survives hibernation.
+   * @param {WebSocket} ws The WebSocket instance.
+   * @returns {SocketAttachment}
+   */
+  getAttachment (ws) {
+    return ws.deserializeAttachment() || {}
+  }
+
+  /**
+   * Closes every tablet socket in the session with the given reason.
+   * @param {string} reason A human-readable string explaining the reason for closure.
+   */
+  closeTablets (reason) {
+    this.iterateOverSockets((socket) => {
+      console.debug(`[DO ${this.shortId}] Closing tablet: ${reason}`)
+      socket.close(WsStatusCodes.NORMAL_CLOSURE, reason)
+    }, labels.TABLET_TYPE, { includePending: true })
+  }
+
+  /**
+   * Computes when the alarm should next fire: at the next keep-alive, or earlier
+   * if a reconnect window closes, a request times out or a join request expires before that.
+   * @returns {Promise<number>} The alarm time in milliseconds since the epoch.
+   */
+  async getNextAlarmTime () {
+    const reconnectDeadlines = await Promise.all([
+      this.ctx.storage.get(labels.PC_RECONNECT_DEADLINE),
+      this.ctx.storage.get(labels.TABLET_RECONNECT_DEADLINE)
+    ])
+    /** @type {Object<string, PendingRequest>} */
+    const pendingRequests = (await this.ctx.storage.get(labels.PENDING_REQUESTS)) || {}
+    const requestDeadlines = Object.values(pendingRequests).map(request => request.deadline)
+    const approvalDeadlines = this.iterateOverSockets(socket => this.getAttachment(socket).approvalDeadline, labels.TABLET_TYPE, { includePending: true })
+    const { keepAliveIntervalSeconds } = await this.getSessionOptions()
+    return Math.min(
+      Date.now() + keepAliveIntervalSeconds * 1000,
+      ...reconnectDeadlines.filter(deadline => deadline !== undefined),
+      ...requestDeadlines,
+      // Expired join requests are being closed already, and must not re-arm the alarm in the past.
+      ...approvalDeadlines.filter(deadline => deadline > Date.now())
+    )
+  }
+
+  /**
+   * Opens the reconnect window after the PC dropped unexpectedly.
+   * Tablets stay connected and are told how long the PC has to come back.
+   * @param {{id: number | null, type: string}} clientInfo The PC that disconnected.
+   */
+  async startPcReconnectWindow (clientInfo) {
+    const reconnectDeadline = Date.now() + this.reconnectGracePeriod
+    await this.ctx.storage.put(labels.PC_RECONNECT_DEADLINE, reconnectDeadline)
+    await this.ctx.storage.setAlarm(await this.getNextAlarmTime())
+    console.debug(`[DO ${this.shortId}] Waiting ${this.reconnectGracePeriod} ms for ${clientInfo.type} (id: ${clientInfo.id}) to reconnect`)
+
+    this.iterateOverSockets(tabletSocket => {
+      this.sendMessage(tabletSocket, {
+        type: labels.PC_RECONNECTING,
+        id: clientInfo.id,
+        reconnectDeadline,
+        timestamp: Date.now()
+      })
+    }, labels.TABLET_TYPE)
+  }
+
+  /**
+   * Tears the session down once the PC failed to reconnect within its window.
+   */
+  async endPcReconnectWindow () {
+    console.debug(`[DO ${this.shortId}] ${labels.PC_RECONNECT_TIMED_OUT}`)
+    await this.ctx.storage.delete(labels.PC_RECONNECT_DEADLINE)
+    await this.ctx.storage.delete(labels.PC_RESUME_TOKEN)
+    await this.ctx.storage.delete(labels.TABLET_CONNECTION_TOKEN)
+    await this.ctx.storage.delete(labels.TABLET_TOKEN_EXPIRES_AT)
+    await this.ctx.storage.delete(labels.TABLET_RESUME_TOKENS)
+    await this.deleteMessageQueues()
+    this.closeTablets(labels.PC_RECONNECT_TIMED_OUT)
+  }
+
+  /**
+   * Issues a resume token for a tablet and remembers which tablet it belongs to.
+   * @param {number} tabletId The ID of the tablet.
+   * @returns {Promise<string>} The new resume token.
+   */
+  async registerTabletResumeToken (tabletId) {
+    const tabletResumeTokens = (await this.ctx.storage.get(labels.TABLET_RESUME_TOKENS)) || {}
+    const resumeToken = getNewToken()
+    tabletResumeTokens[resumeToken] = tabletId
+    await this.ctx.storage.put(labels.TABLET_RESUME_TOKENS, tabletResumeTokens)
+    return resumeToken
+  }
+
+  /**
+   * Finds the socket of a tablet that is waiting for the PC's approval.
+   * @param {*} tabletId The ID of the tablet, as sent by the PC.
+   * @returns {WebSocket | undefined}
+   */
+  findPendingTablet (tabletId) {
+    if (!Number.isInteger(tabletId)) {
+      return undefined
+    }
+    // Going through iterateOverSockets leaves out pending tablets that were evicted as idle.
+    return this.iterateOverSockets(socket => socket, `${websocketTags.ID}:${tabletId}`, { includePending: true })
+      .find(socket => this.getClientInfo(socket).type === deviceTags.TABLET && this.isPending(socket))
+  }
+
+  /**
+   * Builds the message that asks the PC to approve or deny a pending tablet.
+   * @param {number} tabletId The ID of the tablet.
+   * @param {{publicKey: string | null, userAgent?: string | null, approvalDeadline?: number}} details What the tablet joined with.
+   * @returns {object}
+   */
+  getJoinRequest (tabletId, { publicKey, userAgent, approvalDeadline }) {
+    return {
+      clientType: deviceTags.TABLET,
+      id: tabletId,
+      type: labels.TABLET_JOIN_REQUEST,
+      publicKey,
+      userAgent: userAgent ?? null,
+      approvalDeadline,
+      timestamp: Date.now()
+    }
+  }
+
+  /**
+   * Repeats the join request of every pending tablet to a PC that just connected or resumed.
+   * @param {WebSocket} pcSocket The socket of the PC.
+   */
+  sendJoinRequests (pcSocket) {
+    const pendingTablets = this.iterateOverSockets(socket => socket, labels.TABLET_TYPE, { includePending: true })
+      .filter(socket => this.isPending(socket))
+    for (const tabletSocket of pendingTablets) {
+      this.sendMessage(pcSocket, this.getJoinRequest(this.getClientInfo(tabletSocket).id, this.getAttachment(tabletSocket)))
+    }
+    if (pendingTablets.length > 0) {
+      console.debug(`[DO ${this.shortId}] Repeated ${pendingTablets.length} join request(s) to ${deviceTags.PC}`)
+    }
+  }
+
+  /**
+   * Turns away the pending tablets the PC has not answered in time.
+   */
+  expireJoinRequests () {
+    this.iterateOverSockets(socket => socket, labels.TABLET_TYPE, { includePending: true })
+      .filter(socket => this.isPending(socket) && this.getAttachment(socket).approvalDeadline <= Date.now())
+      .forEach(socket => {
+        console.debug(`[DO ${this.shortId}] ${labels.APPROVAL_TIMED_OUT} for tablet (id: ${this.getClientInfo(socket).id})`)
+        socket.close(closeCodes.JOIN_DENIED, labels.APPROVAL_TIMED_OUT)
+      })
+  }
+
+  /**
+   * Admits a pending tablet: it gets its welcome and resume token, and the PC is told it is connected.
+   * @param {WebSocket} ws The socket of the pending tablet.
+   * @param {number} tabletId The ID of the tablet.
+   */
+  async approveTablet (ws, tabletId) {
+    const { pending, approvalDeadline, userAgent, ...attachment } = this.getAttachment(ws)
+    ws.serializeAttachment(attachment)
+
+    const resumeToken = await this.registerTabletResumeToken(tabletId)
+    const pcPublicKey = (await this.ctx.storage.get(labels.PC_PUBLIC_KEY)) ?? null
+    this.sendMessage(ws, this.getWelcomeMessage(deviceTags.TABLET, tabletId, resumeToken, pcPublicKey, this.getProtocolVersion(ws)))
+    console.debug(`[DO ${this.shortId}] ${deviceTags.PC} approved tablet (id: ${tabletId})`)
+
+    this.iterateOverSockets(pcSocket => {
+      this.sendMessage(pcSocket, {
+        clientType: deviceTags.TABLET,
+        id: tabletId,
+        type: labels.TABLET_CONNECTED,
+        publicKey: attachment.publicKey,
+        timestamp: Date.now()
+      })
+    }, labels.PC_TYPE)
+    this.announcePresence(ws, labels.PARTICIPANT_JOINED)
+  }
+
+  /**
+   * Turns a pending tablet away.
+   * @param {WebSocket} ws The socket of the pending tablet.
+   * @param {number} tabletId The ID of the tablet.
+   * @param {*} [reason] The reason given by the PC, if any.
+   */
+  denyTablet (ws, tabletId, reason) {
+    // Close reasons are limited to 123 bytes, so long or odd reasons fall back to the default.
+    const closeReason = typeof reason === 'string' && reason.length > 0 && new TextEncoder().encode(reason).byteLength <= 123
+      ? reason
+      : labels.JOIN_DENIED
+    console.debug(`[DO ${this.shortId}] ${deviceTags.PC} denied tablet (id: ${tabletId}): ${closeReason}`)
+    ws.close(closeCodes.JOIN_DENIED, closeReason)
+  }
+
+  /**
+   * Forgets the resume token of a tablet that left on purpose.
+   * @param {number} tabletId The ID of the tablet.
+   */
+  async forgetTabletResumeToken (tabletId) {
+    const tabletResumeTokens = (await this.ctx.storage.get(labels.TABLET_RESUME_TOKENS)) || {}
+    const remainingTokens = Object.fromEntries(Object.entries(tabletResumeTokens).filter(([, id]) => id !== tabletId))
+    await this.ctx.storage.put(labels.TABLET_RESUME_TOKENS, remainingTokens)
+    await this.ctx.storage.delete(this.getMessageQueueKey({ type: deviceTags.TABLET, id: tabletId }))
+  }
+
+  /**
+   * Builds the storage key holding the queued messages of a participant.
+   * @param {{id: number | null, type: string}} recipient The participant the messages are for.
+   * @returns {string}
+   */
+  getMessageQueueKey (recipient) {
+    return `${labels.MESSAGE_QUEUE_PREFIX}${recipient.type}:${recipient.id}`
+  }
+
+  /**
+   * Checks whether a missing recipient may still come back, so messages can be queued for it.
+   * @param {{id: number, type: string}} recipient The addressed participant.
+   * @returns {Promise<boolean>}
+   */
+  async canQueueFor (recipient) {
+    switch (recipient.type) {
+      case deviceTags.PC:
+        return recipient.id === 0
+      case deviceTags.TABLET: {
+        const tabletResumeTokens = (await this.ctx.storage.get(labels.TABLET_RESUME_TOKENS)) || {}
+        return Object.values(tabletResumeTokens).includes(recipient.id)
+      }
+      default:
+        return false
+    }
+  }
+
+  /**
+   * Drops queued messages that are older than the configured maximum age.
+   * @param {Array<QueuedMessage>} queue The queued messages, oldest first.
+   * @returns {Array<QueuedMessage>}
+   */
+  pruneMessageQueue (queue) {
+    const oldestAllowed = Date.now() - this.maxQueuedMessageAge
+    return queue.filter(({ queuedAt }) => queuedAt >= oldestAllowed)
+  }
+
+  /**
+   * Stores a message for an offline recipient. Once the queue is full the oldest message is dropped.
+   * @param {{id: number, type: string}} recipient The addressed participant.
+   * @param {object} message The relay message to deliver later.
+   */
+  async enqueueMessage (recipient, message) {
+    const queueKey = this.getMessageQueueKey(recipient)
+    const queue = this.pruneMessageQueue((await this.ctx.storage.get(queueKey)) || [])
+    queue.push({ message, queuedAt: Date.now() })
+    const droppedCount = Math.max(queue.length - this.maxQueuedMessages, 0)
+    if (droppedCount > 0) {
+      console.warn(`[DO ${this.shortId}] Queue for ${recipient.type} (id: ${recipient.id}) is full, dropped ${droppedCount} message(s)`)
+    }
+    await this.ctx.storage.put(queueKey, queue.slice(droppedCount))
+    console.debug(`[DO ${this.shortId}] Queued message for ${recipient.type} (id: ${recipient.id})`)
+  }
+
+  /**
+   * Delivers every queued message still young enough to a reconnected participant, in order.
+   * @param {WebSocket} ws The socket of the participant.
+   * @param {{id: number | null, type: string}} clientInfo The reconnected participant.
+   */
+  async flushMessageQueue (ws, clientInfo) {
+    const queueKey = this.getMessageQueueKey(clientInfo)
+    const queue = this.pruneMessageQueue((await this.ctx.storage.get(queueKey)) || [])
+    queue.forEach(({ message }) => this.sendMessage(ws, message))
+    await this.ctx.storage.delete(queueKey)
+    if (queue.length > 0) {
+      console.debug(`[DO ${this.shortId}] Flushed ${queue.length} queued message(s) to ${clientInfo.type} (id: ${clientInfo.id})`)
+    }
+  }
+
+  /**
+   * Deletes the message queues of every participant.
+   */
+  async deleteMessageQueues () {
+    const queues = await this.ctx.storage.list({ prefix: labels.MESSAGE_QUEUE_PREFIX })
+    await this.ctx.storage.delete([...queues.keys()])
+  }
+
+  /**
+   * Closes the PC socket because no tablet is left in the session.
+   * @param {string} reason A human-readable string explaining the reason for closure.
+   */
+  closePc (reason) {
+    console.debug(`[DO ${this.shortId}] ${reason}`)
+    this.iterateOverSockets(pcSocket => {
+      pcSocket.close(WsStatusCodes.NORMAL_CLOSURE, reason)
+    }, labels.PC_TYPE)
   }
 
   /**
@@ -254,6 +1357,273 @@ export class RelaySession extends DurableObject {
     }, { id: null, type: deviceTags.UNKNOWN })
   }
 
+  /**
+   * Tells a client that one of its messages could not be handled, and counts the message as dropped.
+   * @param {WebSocket} ws The socket of the client that sent the message.
+   * @param {string} code A machine-readable error code, one of `errorCodes`.
+   * @param {string} message A human-readable description of the failure.
+   * @param {*} [messageId] The client-supplied `id` of the offending message, if any.
+   * @param {object} [details] Further fields of the error frame, such as the `requestId` of a failed request.
+   */
+  sendError (ws, code, message, messageId = undefined, details = {}) {
+    this.countMetric(metricNames.MESSAGES_DROPPED, { reason: code }, ws)
+    this.sendMessage(ws, {
+      type: labels.ERROR,
+      code,
+      message,
+      messageId,
+      ...details
+    })
+  }
+
+  /**
+   * Keys a pending request by its caller and ID, as a response names the caller in `to`.
+   * @param {{type: string, id: number | null}} caller The client that sent the request.
+   * @param {string} requestId The ID the caller gave the request.
+   * @returns {string}
+   */
+  getRequestKey (caller, requestId) {
+    return `${caller.type}:${caller.id}:${requestId}`
+  }
+
+  /**
+   * Remembers a request until its response arrives, it times out or its target leaves,
+   * and makes sure the alarm fires by its deadline.
+   * @param {{type: string, id: number | null}} caller The client that sent the request.
+   * @param {{type: string, id: number}} target The client the request goes to.
+   * @param {{id?: *, requestId: string, timeoutSeconds?: number}} data The request message.
+   */
+  async trackRequest (caller, target, { id: messageId, requestId, timeoutSeconds }) {
+    /** @type {Object<string, PendingRequest>} */
+    const pendingRequests = (await this.ctx.storage.get(labels.PENDING_REQUESTS)) || {}
+    const key = this.getRequestKey(caller, requestId)
+    if (Object.hasOwn(pendingRequests, key)) {
+      throw new ValidationError(errorCodes.INVALID_MESSAGE, `Request ${requestId} is already waiting for a response`)
+    }
+    if (Object.keys(pendingRequests).length >= this.maxPendingRequests) {
+      throw new ValidationError(errorCodes.TOO_MANY_REQUESTS, `At most ${this.maxPendingRequests} requests may wait for a response at once`)
+    }
+    // Requests may ask for a shorter timeout, never a longer one.
+    const timeout = Math.min((timeoutSeconds ?? Infinity) * 1000, this.requestTimeout)
+    const deadline = Date.now() + timeout
+    pendingRequests[key] = { caller, target: { type: target.type, id: target.id }, requestId, messageId, deadline }
+    await this.ctx.storage.put(labels.PENDING_REQUESTS, pendingRequests)
+
+    const alarm = await this.ctx.storage.getAlarm()
+    if (alarm === null || deadline < alarm) {
+      await this.ctx.storage.setAlarm(deadline)
+    }
+  }
+
+  /**
+   * Forgets a request once its target responds.
+   * @param {{type: string, id: number | null}} responder The client that sent the response.
+   * @param {{type: string, id: number}} caller The client the response goes to.
+   * @param {string} requestId The ID of the request.
+   */
+  async settleRequest (responder, caller, requestId) {
+    /** @type {Object<string, PendingRequest>} */
+    const pendingRequests = (await this.ctx.storage.get(labels.PENDING_REQUESTS)) || {}
+    const key = this.getRequestKey(caller, requestId)
+    const request = pendingRequests[key]
+    // Late responses find nothing, as the caller was already told the request timed out.
+    if (!request || request.target.type !== responder.type || request.target.id !== responder.id) {
+      throw new ValidationError(errorCodes.UNKNOWN_REQUEST, `No request ${requestId} from ${caller.type} (id: ${caller.id}) is waiting for this ${responder.type}`)
+    }
+    delete pendingRequests[key]
+    await this.ctx.storage.put(labels.PENDING_REQUESTS, pendingRequests)
+  }
+
+  /**
+   * Gives up on pending requests and tells their callers why, if they are still connected.
+   * @param {(request: PendingRequest) => boolean} predicate Which requests to give up on.
+   * @param {string} code The error code the callers get, one of `errorCodes`.
+   * @param {(request: PendingRequest) => string} describe Explains the failure of a request.
+   */
+  async failRequests (predicate, code, describe) {
+    /** @type {Object<string, PendingRequest>} */
+    const pendingRequests = (await this.ctx.storage.get(labels.PENDING_REQUESTS)) || {}
+    const failed = Object.entries(pendingRequests).filter(([, request]) => predicate(request))
+    if (failed.length === 0) {
+      return
+    }
+    for (const [key, request] of failed) {
+      delete pendingRequests[key]
+      const callerSocket = this
+        .iterateOverSockets(socket => socket, `${websocketTags.ID}:${request.caller.id}`)
+        .find(socket => this.getClientInfo(socket).type === request.caller.type)
+      if (callerSocket) {
+        this.sendError(callerSocket, code, describe(request), request.messageId, { requestId: request.requestId })
+      }
+    }
+    console.debug(`[DO ${this.shortId}] Failed ${failed.length} pending request(s): ${code}`)
+    await this.ctx.storage.put(labels.PENDING_REQUESTS, pendingRequests)
+  }
+
+  /**
+   * Tells which protocol version a socket negotiated when it connected.
+   * @param {WebSocket} ws The WebSocket instance.
+   * @returns {number}
+   */
+  getProtocolVersion (ws) {
+    const protocolTag = this.ctx.getTags(ws).find(tag => tag.startsWith(`${websocketTags.PROTOCOL}:`))
+    return protocolTag ? Number(protocolTag.split(':')[1]) : LEGACY_PROTOCOL_VERSION
+  }
+
+  /**
+   * Tells which encoding a socket negotiated when it connected.
+   * @param {WebSocket} ws The WebSocket instance.
+   * @returns {string} One of `encodings`.
+   */
+  getEncoding (ws) {
+    const encodingTag = this.ctx.getTags(ws).find(tag => tag.startsWith(`${websocketTags.ENCODING}:`))
+    return encodingTag?.split(':')[1] ?? encodings.JSON
+  }
+
+  /**
+   * Sends a message to a socket in the encoding it negotiated.
+   * @param {WebSocket} ws The WebSocket instance.
+   * @param {object} message The message to send.
+   */
+  sendMessage (ws, message) {
+    // MessagePack has no notion of undefined, so drop such fields like JSON does.
+    const frame = this.getEncoding(ws) === encodings.MSGPACK
+      ? encode(message, { ignoreUndefined: true })
+      : JSON.stringify(message)
+    ws.send(frame)
+    this.countMetric(metricNames.BYTES_SENT, { type: this.getClientInfo(ws).type }, ws, getFrameBytes(frame))
+  }
+
+  /**
+   * Tells whether a socket belongs to one of the given addressees.
+   * @param {WebSocket} socket The WebSocket instance.
+   * @param {Array<{type: string, id?: number}>} recipients The addressees, each a whole type or one client.
+   * @returns {boolean}
+   */
+  isAddressedBy (socket, recipients) {
+    const { type, id } = this.getClientInfo(socket)
+    return recipients.some(recipient => recipient.type === type && (recipient.id === undefined || recipient.id === id))
+  }
+
+  /**
+   * Relays a message addressed to a list of recipients or to everyone. Each client gets it once at most,
+   * the sender and the clients in `except` never do. The sender is always told how many clients got it.
+   * Only messages to everyone are mirrored to observers, and nothing is queued for offline recipients.
+   * @param {WebSocket} ws The socket that sent the message.
+   * @param {{id: number | null, type: string}} sender The client that sent the message.
+   * @param {{id?: *, to: object | Array<object>, except?: Array<object>}} data The parsed relay message.
+   * @param {{payload?: *, encrypted?: *, from: object}} relayMessage The message to relay.
+   */
+  relayMulticast (ws, sender, data, relayMessage) {
+    const recipients = Array.isArray(data.to)
+      ? data.to
+      : Object.values(knownDeviceTags).map(type => ({ type }))
+    const addressees = this.iterateOverSockets(socket => socket)
+      .filter(socket => socket !== ws && this.isAddressedBy(socket, recipients) && !this.isAddressedBy(socket, data.except ?? []))
+    addressees.forEach(socket => this.sendMessage(socket, relayMessage))
+    console.debug(`[DO ${this.shortId}] Relayed multicast message from ${sender.type} (id: ${sender.id}) to ${addressees.length} client(s)`)
+    if (!Array.isArray(data.to)) {
+      this.mirrorToObservers(relayMessage)
+    }
+
+    if (addressees.length === 0) {
+      this.sendError(ws, errorCodes.UNKNOWN_RECIPIENT, 'None of the addressed clients is connected', data.id)
+      return
+    }
+    this.countMetric(metricNames.MESSAGES_RELAYED, { type: sender.type }, ws)
+    this.sendMessage(ws, { type: labels.ACK, messageId: data.id, delivered: addressees.length })
+  }
+
+  /**
+   * Tells every other participant that subscribed to presence events that a client joined or left.
+   * Tablets awaiting approval neither receive these events nor are announced until they are approved.
+   * @param {WebSocket} ws The socket of the client that joined or left.
+   * @param {string} event `labels.PARTICIPANT_JOINED` or `labels.PARTICIPANT_LEFT`.
+   * @param {{reason?: string, code?: number}} [details] Why the client left.
+   */
+  announcePresence (ws, event, details = {}) {
+    const { id, type } = this.getClientInfo(ws)
+    this.iterateOverSockets(socket => {
+      if (socket !== ws) {
+        this.sendMessage(socket, { type: event, clientType: type, id, ...details, timestamp: Date.now() })
+      }
+    }, labels.PRESENCE_SUBSCRIBER)
+  }
+
+  /**
+   * Relays a binary frame using only its header, leaving the body untouched.
+   * Recipients that negotiated MessagePack get the body as the binary payload of a regular relay message.
+   * @param {WebSocket} ws The socket that sent the frame.
+   * @param {{id: number | null, type: string}} sender The client that sent the frame.
+   * @param {ArrayBuffer} frame The raw frame.
+   */
+  relayBinaryFrame (ws, sender, frame) {
+    const recipient = decodeBinaryRecipient(frame)
+    const stampedFrame = stampBinarySender(frame, sender)
+
+    const addressees = recipient.id === undefined
+      ? this.iterateOverSockets(socket => socket, `${websocketTags.TYPE}:${recipient.type}`).filter(socket => socket !== ws)
+      : this.iterateOverSockets(socket => socket, `${websocketTags.ID}:${recipient.id}`).filter(socket => this.getClientInfo(socket).type === recipient.type)
+
+    addressees.forEach(socket => {
+      if (this.getEncoding(socket) === encodings.MSGPACK) {
+        this.sendMessage(socket, { payload: getBinaryBody(stampedFrame.buffer), from: sender })
+      } else {
+        socket.send(stampedFrame)
+        this.countMetric(metricNames.BYTES_SENT, { type: this.getClientInfo(socket).type }, socket, stampedFrame.byteLength)
+      }
+    })
+    if (addressees.length > 0) {
+      this.countMetric(metricNames.MESSAGES_RELAYED, { type: sender.type }, ws)
+    }
+    console.debug(`[DO ${this.shortId}] Relayed binary frame from ${sender.type} (id: ${sender.id}) to ${addressees.length} ${recipient.type}(s)`)
+
+    if (addressees.length === 0) {
+      this.sendError(ws, errorCodes.UNKNOWN_RECIPIENT, recipient.id === undefined
+        ? `No other ${recipient.type} is connected`
+        : `No ${recipient.type} with id ${recipient.id} is connected`)
+    }
+  }
+
+  /**
+   * Throws a ValidationError if the sender is an observer, which may send nothing but pings.
+   * @param {{id: number | null, type: string}} sender The client that sent a frame.
+   */
+  assertCanSend (sender) {
+    if (sender.type === deviceTags.OBSERVER) {
+      throw new ValidationError(errorCodes.READ_ONLY, `An ${deviceTags.OBSERVER} may only send pings`)
+    }
+  }
+
+  /**
+   * Sends a copy of a broadcast to every observer if observers may see its payload type.
+   * Encrypted messages are never mirrored, since observers hold no keys.
+   * @param {{payload?: *, encrypted?: *, from: object}} relayMessage The message as it was relayed.
+   */
+  mirrorToObservers (relayMessage) {
+    if (!this.observerPayloadTypes.includes(relayMessage.payload?.type)) {
+      return
+    }
+    const observerCount = this.iterateOverSockets(socket => this.sendMessage(socket, relayMessage), labels.OBSERVER_TYPE).length
+    if (observerCount > 0) {
+      console.debug(`[DO ${this.shortId}] Mirrored ${relayMessage.payload.type} to ${observerCount} ${deviceTags.OBSERVER}(s)`)
+    }
+  }
+
+  /**
+   * Takes a token from the message rate limit of a socket.
+   * @param {WebSocket} ws The socket that sent a frame.
+   * @returns {boolean} Whether the frame is within the limit.
+   */
+  takeMessageToken (ws) {
+    let bucket = this.messageBuckets.get(ws)
+    if (!bucket) {
+      bucket = new TokenBucket(this.messageBurst, this.messagesPerSecond)
+      this.messageBuckets.set(ws, bucket)
+    }
+    return bucket.take().allowed
+  }
+
   /**
    *
    * @param {WebSocket} ws
@@ -263,19 +1633,65 @@ export class RelaySession extends DurableObject {
   async webSocketMessage (ws, message) {
     // Determine clientType by checking which tag this WebSocket has
     const sender = this.getClientInfo(ws)
+    this.countMetric(metricNames.BYTES_RECEIVED, { type: sender.type }, ws, getFrameBytes(message))
+    ws.serializeAttachment({ ...this.getAttachment(ws), lastActivityAt: Date.now() })
+
+    // Throttle floods before spending any effort on the frame
+    if (this.throttledSockets.has(ws)) {
+      return
+    }
+    if (!this.takeMessageToken(ws)) {
+      console.warn(`[DO ${this.shortId}] ${sender.type} (id: ${sender.id}) exceeded the message rate limit, disconnecting`)
+      this.throttledSockets.add(ws)
+      this.sendError(ws, errorCodes.RATE_LIMITED, `At most ${this.messagesPerSecond} messages per second are allowed`)
+      ws.close(closeCodes.RATE_LIMITED, labels.RATE_LIMIT_EXCEEDED)
+      return
+    }
+
+    if (this.isPending(ws)) {
+      this.sendError(ws, errorCodes.NOT_APPROVED, `This ${sender.type} has not been approved by the ${deviceTags.PC} yet`)
+      return
+    }
+
+    const isMsgpack = typeof message !== 'string' && this.getEncoding(ws) === encodings.MSGPACK
+    let data
+    try {
+      validateFrameSize(message, this.maxFrameBytes)
+      if (typeof message !== 'string' && !isMsgpack) {
+        this.assertCanSend(sender)
+        // Raw binary frames are routed by their header alone
+        this.relayBinaryFrame(ws, sender, message)
+        return
+      }
+      data = isMsgpack ? decode(message) : JSON.parse(message)
+    } catch (e) {
+      if (e instanceof ValidationError) {
+        console.warn(`[DO ${this.shortId}] Rejected frame from ${sender.type} (id: ${sender.id}): ${e.message}`)
+        this.sendError(ws, e.code, e.message)
+        return
+      }
+      if (isMsgpack) {
+        console.error(`[DO ${this.shortId}] Invalid MessagePack from ${sender.type} (id: ${sender.id})`)
+        this.sendError(ws, errorCodes.INVALID_MSGPACK, 'Message is not valid MessagePack')
+        return
+      }
+      console.error(`[DO ${this.shortId}] Invalid JSON from ${sender.type} (id: ${sender.id}):`, message)
+      this.sendError(ws, errorCodes.INVALID_JSON, 'Message is not valid JSON')
+      return
+    }
 
     try {
-      const data = JSON.parse(message)
       console.debug(`[DO ${this.shortId}] Message from ${sender.type} (id: ${sender.id}):`, data)
 
       // Handle keep-alive pings
-      if (data.type === 'ping') {
+      if (data?.type === labels.PING) {
         console.debug(`[DO ${this.shortId}] Received ping from ${sender.type} (id: ${sender.id}).`)
         // Respond with a pong to let the client know the connection is active.
-        ws.send(JSON.stringify({ type: 'pong' }))
+        this.sendMessage(ws, { type: labels.PONG })
         console.debug(`[DO ${this.shortId}] Sent pong to ${sender.type} (id: ${sender.id}).`)
         return
       }
+      this.assertCanSend(sender)
 
       // New message routing logic
       const payload = data?.payload
@@ -285,19 +1701,50 @@ export class RelaySession extends DurableObject {
         const closeReason = `${labels.SESSION_CLOSED_BY_CLIENT_PREFIX} ${sender.type} (id: ${sender.id})`
         this.iterateOverSockets((socket) => {
           socket.close(WsStatusCodes.NORMAL_CLOSURE, closeReason)
-        })
+        }, undefined, { includePending: true })
       }
 
       const getParticipants = () => {
-        const participants = this.iterateOverSockets(socket => this.getClientInfo(socket))
+        // Only the PC, which decides on them, gets to see the tablets waiting for approval.
+        const participants = this.iterateOverSockets(socket => ({
+          ...this.getClientInfo(socket),
+          publicKey: this.getAttachment(socket).publicKey ?? null,
+          pending: this.isPending(socket) || undefined
+        }), undefined, { includePending: sender.type === deviceTags.PC })
 
-        ws.send(JSON.stringify({
+        this.sendMessage(ws, {
           type: labels.PARTICIPANTS_LIST,
           participants
-        }))
+        })
         console.debug(`[DO ${this.shortId}] Sent participants list to ${sender.type} (id: ${sender.id})`)
       }
 
+      const isPcCommand = (command) => {
+        if (sender.type === deviceTags.PC) {
+          return true
+        }
+        this.sendError(ws, errorCodes.FORBIDDEN_COMMAND, `Only the ${deviceTags.PC} may use the ${command} command`, data.id)
+        return false
+      }
+
+      const refreshTabletToken = async () => {
+        if (!isPcCommand(payload.command)) {
+          return
+        }
+        const expiresAt = await this.issueTabletToken()
+        this.sendMessage(ws, {
+          type: labels.TABLET_TOKEN,
+          newTabletToken: this.newTabletToken,
+          expiresAt
+        })
+        console.debug(`[DO ${this.shortId}] Issued a fresh tablet token to ${sender.type} (id: ${sender.id})`)
+      }
+
+      const commands = [labels.CLOSE_CMD, labels.GET_PARTICIPANTS_CMD, labels.REFRESH_TABLET_TOKEN_CMD, labels.APPROVE_CMD, labels.DENY_CMD]
+      if (commands.includes(payload?.command)) {
+        this.countMetric(metricNames.COMMANDS, { command: payload.command }, ws)
+      }
+
       // Handle special commands within the payload
       switch (payload?.command) {
         case labels.CLOSE_CMD:
@@ -306,21 +1753,75 @@ export class RelaySession extends DurableObject {
         case labels.GET_PARTICIPANTS_CMD:
           getParticipants()
           return
+        case labels.REFRESH_TABLET_TOKEN_CMD:
+          await refreshTabletToken()
+          return
+        case labels.APPROVE_CMD:
+        case labels.DENY_CMD: {
+          if (!isPcCommand(payload.command)) {
+            return
+          }
+          const tabletSocket = this.findPendingTablet(payload.id)
+          if (!tabletSocket) {
+            this.sendError(ws, errorCodes.UNKNOWN_RECIPIENT, `No ${deviceTags.TABLET} with id ${payload.id} is waiting for approval`, data.id)
+            return
+          }
+          if (payload.command === labels.APPROVE_CMD) {
+            await this.approveTablet(tabletSocket, payload.id)
+          } else {
+            this.denyTablet(tabletSocket, payload.id, payload.reason)
+          }
+          return
+        }
       }
 
       // If the message was not a command, it must be a relay message.
-      // Relay messages require a 'to' recipient and a 'payload'.
+      // Relay messages require a 'to' recipient and either a 'payload' or an opaque 'encrypted' envelope.
       const recipient = data?.to
-      if (!recipient || !payload) {
-        console.warn(`[DO ${this.shortId}] Invalid message format from ${sender.type} (id: ${sender.id}). Not a command and is missing 'to' or 'payload'.`)
+      const encrypted = data?.encrypted
+      if (!recipient || (!payload && encrypted === undefined)) {
+        if (!recipient && payload?.command !== undefined) {
+          console.warn(`[DO ${this.shortId}] Unknown command from ${sender.type} (id: ${sender.id}): ${payload.command}`)
+          this.sendError(ws, errorCodes.UNKNOWN_COMMAND, `Unknown command: ${payload.command}`, data.id)
+          return
+        }
+        console.warn(`[DO ${this.shortId}] Invalid message format from ${sender.type} (id: ${sender.id}). Not a command and is missing 'to' or 'payload'/'encrypted'.`)
+        this.sendError(ws, errorCodes.INVALID_MESSAGE, 'Relay messages require \'to\' and either \'payload\' or \'encrypted\'', data?.id)
         return
       }
+      validateRelayMessage(data, { validatePayloads: this.validatePayloads })
 
-      // Add sender information to the payload
-      const messageToSend = JSON.stringify({ payload, from: sender })
+      // Add sender information to the payload. Encrypted envelopes are passed through untouched.
+      const correlation = data.kind === undefined ? {} : { kind: data.kind, requestId: data.requestId }
+      const relayMessage = encrypted === undefined
+        ? { payload, from: sender, ...correlation }
+        : { encrypted, from: sender, ...correlation }
 
-      // Private message: 'to.id' is specified
-      if (recipient.id !== undefined) {
+      if (data.kind === messageKinds.RESPONSE) {
+        await this.settleRequest(sender, recipient, data.requestId)
+      }
+
+      /**
+       * Confirms delivery to senders that asked for it. Undeliverable messages get an error instead.
+       * @param {number} delivered How many recipients the message was sent to.
+       * @param {boolean} [queued] Whether the message was queued for an offline recipient.
+       */
+      const acknowledge = (delivered, queued = undefined) => {
+        // Like multicasts, messages that leave clients out always tell the sender how many got them.
+        if (data.ack === true || data.except !== undefined) {
+          this.sendMessage(ws, { type: labels.ACK, messageId: data.id, delivered, queued })
+        }
+      }
+
+      // Recorded whether or not it reaches anyone, so dropped messages show up too.
+      if ((await this.getSessionOptions()).recordTranscript) {
+        this.transcript.record(sender, recipient, relayMessage)
+      }
+
+      const except = data.except ?? []
+      if (Array.isArray(recipient) || recipient.type === labels.EVERYONE) {
+        this.relayMulticast(ws, sender, data, relayMessage)
+      } else if (recipient.id !== undefined) { // Private message: 'to.id' is specified
         // Find the target socket by its ID tag
         const addressee = this
           .iterateOverSockets(
@@ -331,24 +1832,50 @@ export class RelaySession extends DurableObject {
 
         if (addressee) {
           const { socket, info } = addressee
-          socket.send(messageToSend)
+          if (data.kind === messageKinds.REQUEST) {
+            await this.trackRequest(sender, recipient, data)
+          }
+          this.sendMessage(socket, relayMessage)
+          this.countMetric(metricNames.MESSAGES_RELAYED, { type: sender.type }, ws)
           console.debug(`[DO ${this.shortId}] Relayed private message from ${sender.type} (id: ${sender.id}) to ${info.type} (id: ${info.id})`)
+          acknowledge(1)
           return // Message sent, we are done
         }
+        // Store-and-forward is opt-in per message
+        if (data.queue === true && await this.canQueueFor(recipient)) {
+          await this.enqueueMessage(recipient, relayMessage)
+          this.countMetric(metricNames.MESSAGES_RELAYED, { type: sender.type }, ws)
+          acknowledge(0, true)
+          return
+        }
         console.warn(`[DO ${this.shortId}] Could not find recipient: ${recipient.type} (id: ${recipient.id})`)
+        this.sendError(ws, errorCodes.UNKNOWN_RECIPIENT, `No ${recipient.type} with id ${recipient.id} is connected`, data.id)
       } else { // Public message to a client type
         const sentSockets = this.iterateOverSockets(socket => {
-          // Don't send the message back to the sender
-          if (socket !== ws) {
-            socket.send(messageToSend)
+          // Don't send the message back to the sender or to those left out
+          if (socket !== ws && !this.isAddressedBy(socket, except)) {
+            this.sendMessage(socket, relayMessage)
             return true // Indicate that a message was sent
           }
         }, `${websocketTags.TYPE}:${recipient.type}`)
         const sentCount = sentSockets.filter(Boolean).length
         console.debug(`[DO ${this.shortId}] Relayed public message from ${sender.type} (id: ${sender.id}) to ${sentCount} ${recipient.type}(s)`)
+        this.mirrorToObservers(relayMessage)
+        if (sentCount > 0) {
+          this.countMetric(metricNames.MESSAGES_RELAYED, { type: sender.type }, ws)
+          acknowledge(sentCount)
+        } else {
+          this.sendError(ws, errorCodes.UNKNOWN_RECIPIENT, `No other ${recipient.type} is connected`, data.id)
+        }
       }
     } catch (e) {
-      console.error(`[DO ${this.shortId}] Invalid JSON from ${sender.type} (id: ${sender.id}):`, message)
+      if (e instanceof ValidationError) {
+        console.warn(`[DO ${this.shortId}] Rejected message from ${sender.type} (id: ${sender.id}): ${e.message}`)
+        this.sendError(ws, e.code, e.message, data?.id)
+        return
+      }
+      console.error(`[DO ${this.shortId}] Failed to handle message from ${sender.type} (id: ${sender.id}):`, e)
+      this.sendError(ws, errorCodes.INTERNAL_ERROR, 'The relay failed to handle this message', data?.id)
     }
   }
 
@@ -361,36 +1888,121 @@ export class RelaySession extends DurableObject {
    * @param {boolean} wasClean A boolean indicating whether the connection was closed cleanly.
    */
   async webSocketClose (ws, code, reason, wasClean) {
+    if (this.getAttachment(ws).evicted) {
+      // Its disconnect was handled when it was evicted.
+      const clientInfo = this.getClientInfo(ws)
+      console.debug(`[DO ${this.shortId}] Evicted ${clientInfo.type} (id: ${clientInfo.id}) finished closing (code: ${code})`)
+      return
+    }
+    await this.handleDisconnect(ws, code, reason)
+    await this.persistMetrics()
+  }
+
+  /**
+   * Updates the session after a client left, whether it closed its socket or was evicted.
+   * @param {WebSocket} ws The WebSocket of the client that left.
+   * @param {number} code The status code indicating the reason for closure.
+   * @param {string} reason A human-readable string explaining the reason for closure.
+   */
+  async handleDisconnect (ws, code, reason) {
     // Method 1: Check all active WebSocket tags to identify this one
     const clientInfo = this.getClientInfo(ws)
     console.debug(`[DO ${this.shortId}] ${clientInfo.type} (id: ${clientInfo.id}) disconnected: ${reason} (code: ${code})`)
 
+    // A tablet that was never admitted leaves no trace in the session.
+    if (this.isPending(ws)) {
+      await this.reportConnections()
+      return
+    }
+
     // If a graceful shutdown was initiated by a tablet, do nothing further.
     if (!reason.startsWith(labels.SESSION_CLOSED_BY_CLIENT_PREFIX)) {
+      // A superseded socket is replaced by a new connection of the same client, which was announced already.
+      if (reason !== labels.PC_SUPERSEDED && reason !== labels.TABLET_SUPERSEDED) {
+        this.announcePresence(ws, labels.PARTICIPANT_LEFT, { reason, code })
+      }
+      // Whatever was asked of the socket will not be answered by it.
+      await this.failRequests(
+        request => request.target.type === clientInfo.type && request.target.id === clientInfo.id,
+        errorCodes.PEER_GONE,
+        request => `${request.target.type} (id: ${request.target.id}) left before responding to request ${request.requestId}`
+      )
       switch (clientInfo.type) {
         case deviceTags.PC:
-          // PC disconnected unexpectedly, close all tablet sockets.
-          this.iterateOverSockets((socket) => {
-            console.debug(`[DO ${this.shortId}] Also closing tablet because ${clientInfo.type} (id: ${clientInfo.id}) disconnected`)
-            socket.close(WsStatusCodes.NORMAL_CLOSURE, `${clientInfo.type} (id: ${clientInfo.id}) disconnected`)
-          }, labels.TABLET_TYPE)
+          if (reason === labels.PC_SUPERSEDED) {
+            // A new PC took over, the session carries on with it.
+            console.debug(`[DO ${this.shortId}] Old ${clientInfo.type} socket closed after a takeover`)
+          } else if (code !== WsStatusCodes.NORMAL_CLOSURE && this.reconnectGracePeriod > 0) {
+            // PC dropped unexpectedly, give it a chance to resume before closing the tablets.
+            await this.startPcReconnectWindow(clientInfo)
+          } else {
+            // PC left on purpose, close all tablet sockets.
+            await this.ctx.storage.delete(labels.PC_RESUME_TOKEN)
+            this.closeTablets(`${clientInfo.type} (id: ${clientInfo.id}) disconnected`)
+          }
           break
-        case deviceTags.TABLET:
-          // A tablet disconnected. If it was the last one, close the PC socket.
-          if (this.ctx.getWebSockets(labels.TABLET_TYPE).length === 0) {
-            const reason = `${labels.LAST_TABLET_DISCONNECTED} (was id: ${clientInfo.id})`
-            console.debug(`[DO ${this.shortId}] ${reason}`)
-            this.iterateOverSockets(pcSocket => {
-              pcSocket.close(WsStatusCodes.NORMAL_CLOSURE, reason)
-            }, labels.PC_TYPE)
+        case deviceTags.TABLET: {
+          const droppedUnexpectedly = code !== WsStatusCodes.NORMAL_CLOSURE && this.reconnectGracePeriod > 0
+          if (!droppedUnexpectedly && reason !== labels.TABLET_SUPERSEDED) {
+            await this.forgetTabletResumeToken(clientInfo.id)
+          }
+          // A tablet disconnected. If it was the last one, close the PC socket,
+          // unless the tablet may still come back within the reconnect window.
+          // A superseded tablet is never the last one, as its new connection takes its place.
+          if (reason !== labels.TABLET_SUPERSEDED && this.iterateOverSockets(socket => socket, labels.TABLET_TYPE).length === 0) {
+            if (droppedUnexpectedly) {
+              console.debug(`[DO ${this.shortId}] Waiting ${this.reconnectGracePeriod} ms for the last tablet (id: ${clientInfo.id}) to reconnect`)
+              await this.ctx.storage.put(labels.TABLET_RECONNECT_DEADLINE, Date.now() + this.reconnectGracePeriod)
+              await this.ctx.storage.setAlarm(await this.getNextAlarmTime())
+            } else {
+              this.closePc(`${labels.LAST_TABLET_DISCONNECTED} (was id: ${clientInfo.id})`)
+            }
           }
           break
+        }
       }
     }
 
     // Debug: Log current socket counts
-    const allSockets = this.ctx.getWebSockets()
-    console.debug(`[DO ${this.shortId}] Remaining sockets: ${allSockets.length} total`)
+    console.debug(`[DO ${this.shortId}] Remaining sockets: ${this.countSockets()} total`)
+    await this.reportConnections()
+  }
+
+  /**
+   * Tells when a socket was last heard from: its last frame or its last ping answered by the runtime.
+   * @param {WebSocket} ws The WebSocket instance.
+   * @returns {number | undefined} The time in milliseconds since the epoch, if known.
+   */
+  getLastActivity (ws) {
+    const { connectedAt, lastActivityAt } = this.getAttachment(ws)
+    const lastPingAt = this.ctx.getWebSocketAutoResponseTimestamp(ws)?.getTime()
+    const timestamps = [lastActivityAt ?? connectedAt, lastPingAt].filter(timestamp => timestamp !== undefined)
+    return timestamps.length > 0 ? Math.max(...timestamps) : undefined
+  }
+
+  /**
+   * Evicts the sockets that have been silent for longer than the idle timeout. Their peers are
+   * presumed gone without a close frame, so their disconnect is handled here instead of waiting
+   * for `webSocketClose`. The eviction counts as an unexpected drop, so clients may still resume.
+   */
+  async evictIdleSockets () {
+    if (this.idleTimeout === 0) {
+      return
+    }
+    const idleSince = Date.now() - this.idleTimeout
+    const idleSockets = this.iterateOverSockets(socket => socket, undefined, { includePending: true })
+      .filter(socket => this.getLastActivity(socket) < idleSince)
+    for (const socket of idleSockets) {
+      const clientInfo = this.getClientInfo(socket)
+      console.warn(`[DO ${this.shortId}] Evicting idle ${clientInfo.type} (id: ${clientInfo.id})`)
+      socket.serializeAttachment({ ...this.getAttachment(socket), evicted: true })
+      try {
+        socket.close(closeCodes.IDLE_TIMEOUT, labels.IDLE_TIMEOUT)
+      } catch (e) {
+        console.warn(`[DO ${this.shortId}] Could not close idle ${clientInfo.type} (id: ${clientInfo.id}):`, e)
+      }
+      await this.handleDisconnect(socket, closeCodes.IDLE_TIMEOUT, labels.IDLE_TIMEOUT)
+    }
   }
 
   /**
@@ -404,17 +2016,51 @@ export class RelaySession extends DurableObject {
     console.debug(`[DO ${this.shortId}] Alarm triggered`)
 
     try {
+      await this.reportMetrics()
+
+      // Tear down the session if a dropped PC did not resume in time
+      const pcReconnectDeadline = await this.ctx.storage.get(labels.PC_RECONNECT_DEADLINE)
+      if (pcReconnectDeadline !== undefined && Date.now() >= pcReconnectDeadline) {
+        await this.endPcReconnectWindow()
+      }
+
+      // Release the PC if the last tablet did not come back in time
+      const tabletReconnectDeadline = await this.ctx.storage.get(labels.TABLET_RECONNECT_DEADLINE)
+      if (tabletReconnectDeadline !== undefined && Date.now() >= tabletReconnectDeadline) {
+        await this.ctx.storage.delete(labels.TABLET_RECONNECT_DEADLINE)
+        this.closePc(labels.LAST_TABLET_RECONNECT_TIMED_OUT)
+      }
+
+      await this.evictIdleSockets()
+      this.expireJoinRequests()
+      await this.failRequests(
+        request => request.deadline <= Date.now(),
+        errorCodes.TIMEOUT,
+        request => `${request.target.type} (id: ${request.target.id}) did not respond to request ${request.requestId} in time`
+      )
+
       // Check if we have active WebSockets
-      const allSockets = this.ctx.getWebSockets()
+      const socketCount = this.countSockets()
+      // A client that may still resume keeps the session alive, even with nobody else connected
+      const reconnectWindowOpen = [pcReconnectDeadline, tabletReconnectDeadline]
+        .some(deadline => deadline !== undefined && deadline > Date.now())
 
-      if (allSockets.length > 0) {
-        // We have active connections - set next keep-alive
-        console.debug(`[DO ${this.shortId}] Keep-alive: ${allSockets.length} active connections`)
-        await this.ctx.storage.setAlarm(Date.now() + this.keepAliveInterval)
+      if (socketCount > 0) {
+        // We have active connections - set next keep-alive, without overshooting an open reconnect window
+        console.debug(`[DO ${this.shortId}] Keep-alive: ${socketCount} active connections`)
+        await this.ctx.storage.setAlarm(await this.getNextAlarmTime())
+      } else if (reconnectWindowOpen) {
+        console.debug(`[DO ${this.shortId}] No active connections, waiting for the reconnect window to close`)
+        await this.ctx.storage.setAlarm(await this.getNextAlarmTime())
       } else {
         // No active connections - session expired
         console.debug(`[DO ${this.shortId}] Session expired - cleaning up`)
         await this.ctx.storage.delete(labels.TABLET_CONNECTION_TOKEN)
+        await this.ctx.storage.delete(labels.TABLET_TOKEN_EXPIRES_AT)
+        await this.ctx.storage.delete(labels.TABLET_RESUME_TOKENS)
+        await this.ctx.storage.delete(labels.PENDING_REQUESTS)
+        await this.deleteMessageQueues()
+        await this.notifyRegistry(slugs.REMOVE)
       }
     } catch (e) {
       console.error(`[DO ${this.shortId}] Error in alarm handler:`, e)
@@ -1,13 +1,25 @@
+import { decode, encode } from '@msgpack/msgpack'
 import HttpMethods from 'http-methods-constants'
 import { StatusCodes } from 'http-status-codes'
 import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest'
 import WsStatusCodes from 'websocket-event-codes'
 
+import { encodeBinaryFrame } from './binary-frame.mjs'
+import closeCodes from './constants/close-codes.mjs'
+import encodings from './constants/encodings.mjs'
+import errorCodes from './constants/error-codes.mjs'
+import imageFormats from './constants/image-formats.mjs'
+import metricNames from './constants/metric-names.mjs'
 import searchParams from './constants/search-params.mjs'
+import singletonPolicies from './constants/singleton-policies.mjs'
 import slugs from './constants/slugs.mjs'
 import { deviceTags, labels, websocketTags } from './constants/tags.mjs'
+import transcriptFormats from './constants/transcript-formats.mjs'
 import SingletonViolation from './errors/singleton-violation.mjs'
+import { getCapabilities } from './protocol.mjs'
+import { renderQrSvg } from './qr-code.mjs'
 import { RelaySession } from './relay-session.mjs'
+import { resolveSessionOptions } from './session-options.mjs'
 
 const MOCK_TABLET_TOKEN = 'mock-tablet-token'
 const MOCK_PC_TOKEN = 'mock-pc-token'
@@ -35,11 +47,16 @@ vi.mock('./token-generator.mjs', () => ({
 
 // Mock WebSocketPair
 const mockSockets = new Map()
-const createMockWebSocket = () => ({
-  send: vi.fn(),
-  close: vi.fn(),
-  accept: vi.fn() // Cloudflare-specific method
-})
+const createMockWebSocket = () => {
+  let attachment = null
+  return {
+    send: vi.fn(),
+    close: vi.fn(),
+    accept: vi.fn(), // Cloudflare-specific method
+    serializeAttachment: vi.fn(value => { attachment = structuredClone(value) }),
+    deserializeAttachment: vi.fn(() => structuredClone(attachment))
+  }
+}
 
 let lastMockSocket
 global.WebSocketPair = class WebSocketPair {
@@ -51,6 +68,13 @@ global.WebSocketPair = class WebSocketPair {
   }
 }
 
+global.WebSocketRequestResponsePair = class WebSocketRequestResponsePair {
+  constructor (request, response) {
+    this.request = request
+    this.response = response
+  }
+}
+
 describe('RelaySession Durable Object', () => {
   let state
   let env
@@ -69,7 +93,7 @@ describe('RelaySession Durable Object', () => {
         this.body = body
         this.status = init?.status
         this.webSocket = init?.webSocket
-        this.headers = { get: () => null } // Simple mock for headers
+        this.headers = new Headers(init?.headers)
         this.text = async () => Promise.resolve(this.body)
       }
     }
@@ -91,6 +115,7 @@ describe('RelaySession Durable Object', () => {
 
   beforeEach(() => {
     const storage = new Map()
+    let alarm = null
     mockSockets.clear()
 
     state = {
@@ -98,9 +123,13 @@ describe('RelaySession Durable Object', () => {
       storage: {
         get: vi.fn(key => storage.get(key)),
         put: vi.fn((key, value) => storage.set(key, value)),
-        delete: vi.fn(key => storage.delete(key)),
-        setAlarm: vi.fn(),
-        deleteAlarm: vi.fn()
+        delete: vi.fn(keys => [keys].flat().filter(key => storage.delete(key)).length),
+        list: vi.fn(({ prefix }) => new Map([...storage].filter(([key]) => key.startsWith(prefix)))),
+        deleteAll: vi.fn(() => storage.clear()),
+        setAlarm: vi.fn(time => { alarm = time }),
+        getAlarm: vi.fn(() => alarm),
+        deleteAlarm: vi.fn(() => { alarm = null }),
+        sql: { exec: vi.fn(() => ({ toArray: () => [] })) }
       },
       getWebSockets: vi.fn(tag => {
         if (!tag) return Array.from(mockSockets.keys())
@@ -115,7 +144,10 @@ describe('RelaySession Durable Object', () => {
       acceptWebSocket: vi.fn((socket, tags) => {
         mockSockets.set(socket, tags)
       }),
-      getTags: vi.fn(socket => mockSockets.get(socket) || [])
+      getTags: vi.fn(socket => mockSockets.get(socket) || []),
+      setWebSocketAutoResponse: vi.fn(),
+      getWebSocketAutoResponseTimestamp: vi.fn(() => null),
+      blockConcurrencyWhile: vi.fn(callback => callback())
     }
     env = { RELAY_SESSION: {} }
     relaySession = new RelaySession(state, env)
@@ -128,23 +160,85 @@ describe('RelaySession Durable Object', () => {
   describe('constructor', () => {
     it('should initialize properties correctly', () => {
       expect(relaySession.ctx).toBe(state)
-      expect(relaySession.sessionAlarmTime).toBe(5 * 60 * 1000)
-      expect(relaySession.keepAliveInterval).toBe(30 * 1000)
+      expect(relaySession.reconnectGracePeriod).toBe(60 * 1000)
+    })
+
+    it('should read the PC reconnect grace period from the environment', () => {
+      const session = new RelaySession(state, { ...env, RECONNECT_GRACE_SECONDS: '15' })
+      expect(session.reconnectGracePeriod).toBe(15 * 1000)
+    })
+
+    it('should never let the message rate drop to zero', () => {
+      const session = new RelaySession(state, { ...env, MESSAGES_PER_SECOND: '0' })
+      expect(session.messagesPerSecond).toBe(1)
+    })
+
+    it('should let the runtime answer pings without waking the object', () => {
+      expect(state.setWebSocketAutoResponse).toHaveBeenCalledWith(expect.objectContaining({
+        request: JSON.stringify({ type: labels.PING }),
+        response: JSON.stringify({ type: labels.PONG })
+      }))
     })
   })
 
   describe('initialize', () => {
     it('should store tokens and set an alarm', async () => {
       await relaySession.initialize(MOCK_TABLET_TOKEN, MOCK_PC_TOKEN)
+      expect(state.storage.put).toHaveBeenCalledWith(labels.CREATED_AT, expect.any(Number))
       expect(state.storage.put).toHaveBeenCalledWith(labels.TABLET_CONNECTION_TOKEN, MOCK_TABLET_TOKEN)
       expect(state.storage.put).toHaveBeenCalledWith(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
       expect(state.storage.setAlarm).toHaveBeenCalled()
     })
+
+    it('should give each token an expiry from the session options', async () => {
+      const options = { tabletTokenTtlSeconds: 60, pcTokenTtlSeconds: 3600 }
+      const before = Date.now()
+      const expiries = await relaySession.initialize(MOCK_TABLET_TOKEN, MOCK_PC_TOKEN, options)
+
+      expect(await state.storage.get(labels.SESSION_OPTIONS)).toEqual(options)
+      expect(expiries.tabletConnectionTokenExpiresAt).toBeGreaterThanOrEqual(before + 60 * 1000)
+      expect(expiries.pcConnectionTokenExpiresAt).toBeGreaterThanOrEqual(before + 3600 * 1000)
+      expect(await state.storage.get(labels.TABLET_TOKEN_EXPIRES_AT)).toBe(expiries.tabletConnectionTokenExpiresAt)
+      expect(await state.storage.get(labels.PC_TOKEN_EXPIRES_AT)).toBe(expiries.pcConnectionTokenExpiresAt)
+    })
+
+    it('should set the expiry alarm from the session options', async () => {
+      const options = { ...resolveSessionOptions(), sessionExpirySeconds: 45 }
+      const before = Date.now()
+      await relaySession.initialize(MOCK_TABLET_TOKEN, MOCK_PC_TOKEN, options)
+
+      const alarmAt = await state.storage.getAlarm()
+      expect(alarmAt).toBeGreaterThanOrEqual(before + 45 * 1000)
+      expect(alarmAt).toBeLessThanOrEqual(Date.now() + 45 * 1000)
+    })
+  })
+
+  describe('getSessionOptions', () => {
+    it('should fall back to the defaults for options the session was created without', async () => {
+      await state.storage.put(labels.SESSION_OPTIONS, { tabletTokenTtlSeconds: 60 })
+      expect(await relaySession.getSessionOptions()).toEqual({ ...resolveSessionOptions(), tabletTokenTtlSeconds: 60 })
+    })
+  })
+
+  describe('getNextAlarmTime', () => {
+    it('should schedule the next keep-alive from the session options', async () => {
+      await state.storage.put(labels.SESSION_OPTIONS, { keepAliveIntervalSeconds: 120 })
+      const before = Date.now()
+      const alarmAt = await relaySession.getNextAlarmTime()
+      expect(alarmAt).toBeGreaterThanOrEqual(before + 120 * 1000)
+      expect(alarmAt).toBeLessThanOrEqual(Date.now() + 120 * 1000)
+    })
+
+    it('should not overshoot an open reconnect window', async () => {
+      const reconnectDeadline = Date.now() + 5000
+      await state.storage.put(labels.PC_RECONNECT_DEADLINE, reconnectDeadline)
+      expect(await relaySession.getNextAlarmTime()).toBe(reconnectDeadline)
+    })
   })
 
   describe('enforceSingleton', () => {
     it('should throw SingletonViolation if a device of the same type is already connected', () => {
-      state.getWebSockets.mockReturnValue([{}]) // Simulate one existing socket
+      state.getWebSockets.mockReturnValue([createMockWebSocket()]) // Simulate one existing socket
       expect(() => relaySession.enforceSingleton(deviceTags.PC)).toThrow(SingletonViolation)
       expect(() => relaySession.enforceSingleton(deviceTags.PC)).toThrow('A pc is already connected to this session.')
     })
@@ -166,11 +260,274 @@ describe('RelaySession Durable Object', () => {
       })
       const response = await relaySession.fetch(request)
       expect(response.status).toBe(StatusCodes.OK)
-      expect(await response.text()).toBe(labels.INITIALIZATION_SUCCESSFUL)
-      expect(state.storage.put).toHaveBeenCalledTimes(2) // 2 tokens
+      expect(JSON.parse(await response.text())).toEqual({
+        message: labels.INITIALIZATION_SUCCESSFUL,
+        tabletConnectionTokenExpiresAt: expect.any(Number),
+        pcConnectionTokenExpiresAt: expect.any(Number),
+        observerConnectionToken: 'new-mock-token',
+        observerConnectionTokenExpiresAt: expect.any(Number)
+      })
+      expect(state.storage.put).toHaveBeenCalledTimes(8) // creation time, options, 3 tokens and their expiries
       expect(state.storage.setAlarm).toHaveBeenCalled()
     })
 
+    describe('/tablet-token', () => {
+      const tabletTokenUrl = `https://test.com/${slugs.SESSION}/some-id/${slugs.TABLET_TOKEN}`
+
+      beforeEach(async () => {
+        await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+        await state.storage.put(labels.TABLET_CONNECTION_TOKEN, MOCK_TABLET_TOKEN)
+      })
+
+      it('should hand out the current tablet token while it is valid', async () => {
+        await state.storage.put(labels.TABLET_TOKEN_EXPIRES_AT, Date.now() + 60_000)
+        const response = await relaySession.fetch(new Request(tabletTokenUrl))
+
+        expect(response.status).toBe(StatusCodes.OK)
+        expect(JSON.parse(response.body)).toEqual({
+          tabletConnectionToken: MOCK_TABLET_TOKEN,
+          tabletConnectionTokenExpiresAt: await state.storage.get(labels.TABLET_TOKEN_EXPIRES_AT)
+        })
+      })
+
+      it('should replace an expired tablet token and tell the PC', async () => {
+        const pcSocket = createMockWebSocket()
+        mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
+        await state.storage.put(labels.TABLET_TOKEN_EXPIRES_AT, Date.now() - 1)
+        const response = await relaySession.fetch(new Request(tabletTokenUrl))
+
+        const { tabletConnectionToken } = JSON.parse(response.body)
+        expect(tabletConnectionToken).toBe('new-mock-token')
+        expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+          type: labels.TABLET_TOKEN,
+          newTabletToken: 'new-mock-token'
+        }))
+      })
+
+      it('should report an uninitialized session as not found', async () => {
+        await state.storage.delete(labels.PC_CONNECTION_TOKEN)
+        const response = await relaySession.fetch(new Request(tabletTokenUrl))
+        expect(response.status).toBe(StatusCodes.NOT_FOUND)
+      })
+    })
+
+    describe('/qr', () => {
+      const qrUrl = `https://test.com/${slugs.SESSION}/some-id/${slugs.QR}`
+      const joinUrl = `wss://test.com/${slugs.SESSION}/some-id/${slugs.JOIN}?${searchParams.TOKEN}=`
+
+      beforeEach(async () => {
+        await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+        await state.storage.put(labels.TABLET_CONNECTION_TOKEN, MOCK_TABLET_TOKEN)
+        await state.storage.put(labels.TABLET_TOKEN_EXPIRES_AT, Date.now() + 60_000)
+      })
+
+      it('should render the tablet join URL as an SVG by default', async () => {
+        const request = new Request(qrUrl, { headers: { Authorization: `Bearer ${MOCK_PC_TOKEN}` } })
+        const response = await relaySession.fetch(request)
+
+        expect(response.status).toBe(StatusCodes.OK)
+        expect(response.headers.get('Content-Type')).toMatch(/^image\/svg\+xml/)
+        expect(response.headers.get('Cache-Control')).toBe('no-store')
+        expect(response.body).toBe(renderQrSvg(`${joinUrl}${MOCK_TABLET_TOKEN}`))
+      })
+
+      it('should encode the rotated tablet token', async () => {
+        await state.storage.put(labels.TABLET_CONNECTION_TOKEN, 'rotated-tablet-token')
+        const response = await relaySession.fetch(new Request(`${qrUrl}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`))
+        expect(response.body).toBe(renderQrSvg(`${joinUrl}rotated-tablet-token`))
+      })
+
+      it('should replace an expired tablet token before rendering it', async () => {
+        await state.storage.put(labels.TABLET_TOKEN_EXPIRES_AT, Date.now() - 1)
+        const response = await relaySession.fetch(new Request(`${qrUrl}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`))
+        expect(response.body).toBe(renderQrSvg(`${joinUrl}new-mock-token`))
+      })
+
+      it('should render a PNG on request', async () => {
+        const request = new Request(`${qrUrl}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}&${searchParams.FORMAT}=${imageFormats.PNG}`)
+        const response = await relaySession.fetch(request)
+
+        expect(response.status).toBe(StatusCodes.OK)
+        expect(response.headers.get('Content-Type')).toBe('image/png')
+        expect([...response.body.subarray(0, 8)]).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+      })
+
+      it('should reject an unsupported format', async () => {
+        const request = new Request(`${qrUrl}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}&${searchParams.FORMAT}=gif`)
+        const response = await relaySession.fetch(request)
+        expect(response.status).toBe(StatusCodes.BAD_REQUEST)
+      })
+
+      it('should reject an invalid PC token', async () => {
+        const request = new Request(`${qrUrl}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`)
+        const response = await relaySession.fetch(request)
+        expect(response.status).toBe(StatusCodes.FORBIDDEN)
+      })
+    })
+
+    describe('/transcript', () => {
+      const transcriptUrl = `https://test.com/${slugs.SESSION}/some-id/${slugs.TRANSCRIPT}`
+      const rows = [
+        { seq: 1, recorded_at: Date.UTC(2025, 0, 1), sender_type: 'tablet', sender_id: 1, recipient_type: 'pc', recipient_id: null, recipients: null, encrypted: 0, payload: '{"type":"stroke","stroke":"KAT"}' },
+        { seq: 2, recorded_at: Date.UTC(2025, 0, 1, 0, 0, 1), sender_type: 'pc', sender_id: 0, recipient_type: 'tablet', recipient_id: 1, recipients: null, encrypted: 1, payload: '"c2VjcmV0"' }
+      ]
+
+      beforeEach(async () => {
+        await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+        state.storage.sql.exec.mockImplementation(() => ({ toArray: () => rows }))
+      })
+
+      it('should export the transcript as JSON Lines by default', async () => {
+        const response = await relaySession.fetch(new Request(`${transcriptUrl}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`))
+
+        expect(response.status).toBe(StatusCodes.OK)
+        expect(response.headers.get('Content-Type')).toBe('application/jsonl')
+        expect(response.headers.get('Link')).toBeNull()
+        expect(response.body.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+          { seq: 1, recordedAt: Date.UTC(2025, 0, 1), from: { type: 'tablet', id: 1 }, to: { type: 'pc' }, payload: { type: 'stroke', stroke: 'KAT' } },
+          { seq: 2, recordedAt: Date.UTC(2025, 0, 1, 0, 0, 1), from: { type: 'pc', id: 0 }, to: { type: 'tablet', id: 1 }, encrypted: 'c2VjcmV0' }
+        ])
+      })
+
+      it('should export the strokes as a plain-text log', async () => {
+        const request = new Request(`${transcriptUrl}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}&${searchParams.FORMAT}=${transcriptFormats.TEXT}`)
+        const response = await relaySession.fetch(request)
+
+        expect(response.headers.get('Content-Type')).toMatch(/^text\/plain/)
+        expect(response.body).toBe('2025-01-01T00:00:00.000Z tablet:1 KAT\n')
+      })
+
+      it('should page through the transcript', async () => {
+        const request = new Request(`${transcriptUrl}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}&${searchParams.AFTER}=5&${searchParams.LIMIT}=2`)
+        const response = await relaySession.fetch(request)
+
+        expect(state.storage.sql.exec).toHaveBeenCalledWith(expect.stringContaining('SELECT'), 5, 2)
+        expect(response.headers.get('Link')).toBe(`<${new URL(transcriptUrl).pathname}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}&${searchParams.AFTER}=2&${searchParams.LIMIT}=2>; rel="next"`)
+      })
+
+      it.each([
+        ['an unsupported format', `${searchParams.FORMAT}=csv`],
+        ['a negative cursor', `${searchParams.AFTER}=-1`],
+        ['an oversized page', `${searchParams.LIMIT}=1001`]
+      ])('should reject %s', async (_, query) => {
+        const response = await relaySession.fetch(new Request(`${transcriptUrl}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}&${query}`))
+        expect(response.status).toBe(StatusCodes.BAD_REQUEST)
+      })
+
+      it('should reject an invalid PC token', async () => {
+        const response = await relaySession.fetch(new Request(`${transcriptUrl}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`))
+        expect(response.status).toBe(StatusCodes.FORBIDDEN)
+      })
+    })
+
+    describe('/status', () => {
+      const statusUrl = `https://test.com/${slugs.SESSION}/some-id/${slugs.STATUS}`
+
+      beforeEach(async () => {
+        await state.storage.put(labels.CREATED_AT, 1234)
+        await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+        await state.storage.put(labels.TABLET_ID_COUNTER, 3)
+        await state.storage.setAlarm(5678)
+      })
+
+      it('should describe the session to the PC', async () => {
+        const pcSocket = createMockWebSocket()
+        const tabletSocket = createMockWebSocket()
+        tabletSocket.serializeAttachment({ connectedAt: 4321 })
+        mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
+        mockSockets.set(tabletSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:2`])
+
+        const request = new Request(statusUrl, { headers: { Authorization: `Bearer ${MOCK_PC_TOKEN}` } })
+        const response = await relaySession.fetch(request)
+
+        expect(response.status).toBe(StatusCodes.OK)
+        expect(JSON.parse(response.body)).toEqual({
+          createdAt: 1234,
+          alarmAt: 5678,
+          pcConnected: true,
+          pcReconnectDeadline: null,
+          tablets: [{ id: 2, connectedAt: 4321 }],
+          nextTabletId: 3
+        })
+      })
+
+      it('should list tablets waiting for approval', async () => {
+        const pendingSocket = createMockWebSocket()
+        pendingSocket.serializeAttachment({ connectedAt: 4321, publicKey: null, pending: true, approvalDeadline: 9876 })
+        mockSockets.set(pendingSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:2`])
+
+        const request = new Request(statusUrl, { headers: { Authorization: `Bearer ${MOCK_PC_TOKEN}` } })
+        const response = await relaySession.fetch(request)
+
+        expect(JSON.parse(response.body).tablets).toEqual([{ id: 2, connectedAt: 4321, pending: true, approvalDeadline: 9876 }])
+      })
+
+      it('should accept the PC token as a search parameter', async () => {
+        const request = new Request(`${statusUrl}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`)
+        const response = await relaySession.fetch(request)
+        expect(response.status).toBe(StatusCodes.OK)
+        expect(JSON.parse(response.body).pcConnected).toBe(false)
+      })
+
+      it('should reject an invalid PC token', async () => {
+        const request = new Request(`${statusUrl}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`)
+        const response = await relaySession.fetch(request)
+        expect(response.status).toBe(StatusCodes.FORBIDDEN)
+      })
+
+      it('should report an uninitialized session as not found', async () => {
+        await state.storage.delete(labels.PC_CONNECTION_TOKEN)
+        const request = new Request(`${statusUrl}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`)
+        const response = await relaySession.fetch(request)
+        expect(response.status).toBe(StatusCodes.NOT_FOUND)
+      })
+    })
+
+    describe('DELETE (revocation)', () => {
+      const sessionUrl = `https://test.com/${slugs.SESSION}/some-id`
+      const pcHeaders = { Authorization: `Bearer ${MOCK_PC_TOKEN}` }
+
+      beforeEach(async () => {
+        await relaySession.initialize(MOCK_TABLET_TOKEN, MOCK_PC_TOKEN)
+        await state.storage.put(labels.TABLET_ID_COUNTER, 4)
+      })
+
+      it('should close every socket and wipe the session', async () => {
+        const pcSocket = createMockWebSocket()
+        const tabletSocket = createMockWebSocket()
+        mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
+        mockSockets.set(tabletSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
+
+        const response = await relaySession.fetch(new Request(sessionUrl, { method: HttpMethods.DELETE, headers: pcHeaders }))
+
+        expect(response.status).toBe(StatusCodes.NO_CONTENT)
+        for (const socket of [pcSocket, tabletSocket]) {
+          expect(socket.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, labels.SESSION_CLOSED_BY_REVOCATION)
+        }
+        expect(state.storage.deleteAlarm).toHaveBeenCalled()
+        expect(state.storage.deleteAll).toHaveBeenCalled()
+        expect(await state.storage.get(labels.PC_CONNECTION_TOKEN)).toBeUndefined()
+        expect(await state.storage.get(labels.TABLET_CONNECTION_TOKEN)).toBeUndefined()
+        expect(await state.storage.get(labels.TABLET_ID_COUNTER)).toBeUndefined()
+        expect(await state.storage.getAlarm()).toBeNull()
+      })
+
+      it('should make later connects fail with 410 GONE', async () => {
+        await relaySession.fetch(new Request(sessionUrl, { method: HttpMethods.DELETE, headers: pcHeaders }))
+
+        const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers: { Upgrade: 'websocket' } })
+        const response = await relaySession.fetch(request)
+        expect(response.status).toBe(StatusCodes.GONE)
+        expect(await response.text()).toBe(labels.SESSION_REVOKED)
+      })
+
+      it('should not revoke without the PC token', async () => {
+        const response = await relaySession.fetch(new Request(`${sessionUrl}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`, { method: HttpMethods.DELETE }))
+        expect(response.status).toBe(StatusCodes.FORBIDDEN)
+        expect(state.storage.deleteAll).not.toHaveBeenCalled()
+      })
+    })
+
     it('should reject non-WebSocket upgrade requests', async () => {
       const request = new Request('https://test.com', { method: HttpMethods.GET })
       const response = await relaySession.fetch(request)
@@ -184,11 +541,43 @@ describe('RelaySession Durable Object', () => {
       it('should reject connection with an unknown path', async () => {
         const request = new Request('https://test.com/unknown', { headers })
         const response = await relaySession.fetch(request)
-        expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
-        expect(state.acceptWebSocket).toHaveBeenCalledWith(expect.anything(), [
-          `${websocketTags.TYPE}:${deviceTags.UNKNOWN}`,
-          `${websocketTags.ID}:null`
-        ])
+        expect(response.status).toBe(StatusCodes.NOT_FOUND)
+        expect(await response.text()).toBe(labels.UNKNOWN_ENDPOINT)
+        expect(state.acceptWebSocket).not.toHaveBeenCalled()
+      })
+
+      describe('/watch (Observer)', () => {
+        const MOCK_OBSERVER_TOKEN = 'mock-observer-token'
+
+        beforeEach(async () => {
+          await state.storage.put(labels.OBSERVER_CONNECTION_TOKEN, MOCK_OBSERVER_TOKEN)
+        })
+
+        it('should reject connection with invalid token', async () => {
+          const request = new Request(`https://test.com/${slugs.WATCH}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`, { headers })
+          const response = await relaySession.fetch(request)
+          expect(response.status).toBe(StatusCodes.FORBIDDEN)
+          expect(state.acceptWebSocket).not.toHaveBeenCalled()
+        })
+
+        it('should accept observers with their own IDs and no tablet token', async () => {
+          relaySession.newTabletToken = 'current-tablet-token'
+          const request = new Request(`https://test.com/${slugs.WATCH}?${searchParams.TOKEN}=${MOCK_OBSERVER_TOKEN}`, { headers })
+          await relaySession.fetch(request)
+          await relaySession.fetch(request)
+
+          expect(state.acceptWebSocket).toHaveBeenNthCalledWith(1, expect.anything(), [labels.OBSERVER_TYPE, `${websocketTags.ID}:0`])
+          expect(state.acceptWebSocket).toHaveBeenNthCalledWith(2, expect.anything(), [labels.OBSERVER_TYPE, `${websocketTags.ID}:1`])
+          const welcome = JSON.parse(lastMockSocket.server.send.mock.calls[0][0])
+          expect(welcome).toEqual({
+            clientType: deviceTags.OBSERVER,
+            id: 1,
+            type: labels.SYSTEM,
+            message: labels.CONNECTION_ESTABLISHED,
+            protocolVersion: 1,
+            capabilities: getCapabilities(1)
+          })
+        })
       })
 
       describe('/connect (PC)', () => {
@@ -203,7 +592,7 @@ describe('RelaySession Durable Object', () => {
 
         it('should reject if a PC is already connected', async () => {
           await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
-          state.getWebSockets.mockReturnValue([{}]) // Simulate existing PC
+          state.getWebSockets.mockReturnValue([createMockWebSocket()]) // Simulate existing PC
 
           const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers })
           const response = await relaySession.fetch(request)
@@ -213,6 +602,66 @@ describe('RelaySession Durable Object', () => {
           expect(lastMockSocket.server.close).not.toHaveBeenCalled()
         })
 
+        describe('takeover policy', () => {
+          let oldPcSocket
+          let tabletSocket
+
+          beforeEach(async () => {
+            oldPcSocket = createMockWebSocket()
+            tabletSocket = createMockWebSocket()
+            mockSockets.set(oldPcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
+            mockSockets.set(tabletSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
+            await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+            await state.storage.put(labels.SESSION_OPTIONS, { singletonPolicy: singletonPolicies.TAKEOVER })
+          })
+
+          it('should evict the old PC and keep the tablets connected', async () => {
+            const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers })
+            const response = await relaySession.fetch(request)
+
+            expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+            expect(oldPcSocket.close).toHaveBeenCalledWith(closeCodes.SUPERSEDED, labels.PC_SUPERSEDED)
+            expect(tabletSocket.close).not.toHaveBeenCalled()
+            expect(JSON.parse(tabletSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({ type: labels.PC_CONNECTED }))
+          })
+
+          it('should not route messages to the old PC while its close completes', async () => {
+            const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers })
+            await relaySession.fetch(request)
+            expect(oldPcSocket.deserializeAttachment()).toEqual(expect.objectContaining({ evicted: true }))
+
+            await relaySession.webSocketMessage(tabletSocket, JSON.stringify({ to: { type: deviceTags.PC, id: 0 }, payload: { stroke: 'KAT' } }))
+
+            expect(oldPcSocket.send).not.toHaveBeenCalled()
+            expect(JSON.parse(lastMockSocket.server.send.mock.calls.at(-1)[0])).toEqual(expect.objectContaining({ payload: { stroke: 'KAT' } }))
+          })
+
+          it('should not let an invalid token evict the old PC', async () => {
+            const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=invalid`, { headers })
+            const response = await relaySession.fetch(request)
+
+            expect(response.status).toBe(StatusCodes.FORBIDDEN)
+            expect(oldPcSocket.close).not.toHaveBeenCalled()
+          })
+
+          it('should not tear the session down when the evicted PC socket closes', async () => {
+            await relaySession.webSocketClose(oldPcSocket, closeCodes.SUPERSEDED, labels.PC_SUPERSEDED, true)
+
+            expect(tabletSocket.close).not.toHaveBeenCalled()
+            expect(await state.storage.get(labels.PC_RECONNECT_DEADLINE)).toBeUndefined()
+          })
+        })
+
+        it('should reject an expired PC token with a distinct error', async () => {
+          await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+          await state.storage.put(labels.PC_TOKEN_EXPIRES_AT, Date.now() - 1)
+          const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers })
+          const response = await relaySession.fetch(request)
+          expect(response.status).toBe(StatusCodes.UNAUTHORIZED)
+          expect(await response.text()).toBe(labels.TOKEN_EXPIRED)
+          expect(state.acceptWebSocket).not.toHaveBeenCalled()
+        })
+
         it('should successfully connect a PC', async () => {
           await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
           const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers })
@@ -224,12 +673,146 @@ describe('RelaySession Durable Object', () => {
             labels.PC_TYPE,
             `${websocketTags.ID}:0`
           ])
+          expect(lastMockSocket.server.deserializeAttachment()).toEqual({ connectedAt: expect.any(Number), publicKey: null })
           expect(lastMockSocket.server.send).toHaveBeenCalledWith(JSON.stringify({
             clientType: deviceTags.PC,
             id: 0,
             type: labels.SYSTEM,
-            message: labels.CONNECTION_ESTABLISHED
+            message: labels.CONNECTION_ESTABLISHED,
+            protocolVersion: 1,
+            capabilities: getCapabilities(1),
+            resumeToken: 'new-mock-token'
+          }))
+          expect(state.storage.put).toHaveBeenCalledWith(labels.PC_RESUME_TOKEN, 'new-mock-token')
+        })
+
+        describe('subprotocol negotiation', () => {
+          beforeEach(async () => {
+            await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+          })
+
+          const connectWith = (subprotocols) => relaySession.fetch(new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, {
+            headers: { ...headers, 'Sec-WebSocket-Protocol': subprotocols }
           }))
+
+          it('should echo the subprotocol it speaks', async () => {
+            const response = await connectWith('plover-relay.v2, plover-relay.v1')
+
+            expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+            expect(response.headers.get('Sec-WebSocket-Protocol')).toBe('plover-relay.v1')
+            expect(JSON.parse(lastMockSocket.server.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+              protocolVersion: 1,
+              capabilities: getCapabilities(1)
+            }))
+          })
+
+          it('should not echo a subprotocol to legacy clients', async () => {
+            const response = await relaySession.fetch(new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers }))
+
+            expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+            expect(response.headers.get('Sec-WebSocket-Protocol')).toBeNull()
+          })
+
+          it('should reject clients that only offer unsupported subprotocols', async () => {
+            const response = await connectWith('plover-relay.v9')
+
+            expect(response.status).toBe(StatusCodes.BAD_REQUEST)
+            expect(await response.text()).toContain('plover-relay.v1')
+            expect(state.acceptWebSocket).not.toHaveBeenCalled()
+          })
+        })
+
+        it('should reject an oversized public key before accepting the socket', async () => {
+          await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+          const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, {
+            headers: { ...headers, 'X-Public-Key': 'A'.repeat(4096) }
+          })
+          const response = await relaySession.fetch(request)
+
+          expect(response.status).toBe(StatusCodes.BAD_REQUEST)
+          expect(state.acceptWebSocket).not.toHaveBeenCalled()
+          expect(await state.storage.get(labels.PC_PUBLIC_KEY)).toBeUndefined()
+        })
+
+        it('should repeat the join requests of tablets that are still pending', async () => {
+          const pendingSocket = createMockWebSocket()
+          pendingSocket.serializeAttachment({ connectedAt: 1234, publicKey: 'tablet-key', pending: true, approvalDeadline: 5678, userAgent: 'TabletApp/1.0' })
+          mockSockets.set(pendingSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:3`])
+          await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+          const response = await relaySession.fetch(new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers }))
+
+          expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+          const sent = lastMockSocket.server.send.mock.calls.map(([message]) => JSON.parse(message))
+          expect(sent.map(message => message.type)).toEqual([labels.SYSTEM, labels.TABLET_JOIN_REQUEST])
+          expect(sent[1]).toEqual({
+            clientType: deviceTags.TABLET,
+            id: 3,
+            type: labels.TABLET_JOIN_REQUEST,
+            publicKey: 'tablet-key',
+            userAgent: 'TabletApp/1.0',
+            approvalDeadline: 5678,
+            timestamp: expect.any(Number)
+          })
+          expect(pendingSocket.send).not.toHaveBeenCalled()
+        })
+
+        it('should store the PC public key and announce it to connected tablets', async () => {
+          const tabletSocket = createMockWebSocket()
+          mockSockets.set(tabletSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
+          await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+          const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, {
+            headers: { ...headers, 'X-Public-Key': 'pc-key' }
+          })
+          await relaySession.fetch(request)
+
+          expect(lastMockSocket.server.deserializeAttachment()).toEqual({ connectedAt: expect.any(Number), publicKey: 'pc-key' })
+          expect(await state.storage.get(labels.PC_PUBLIC_KEY)).toBe('pc-key')
+          const notice = JSON.parse(tabletSocket.send.mock.calls[0][0])
+          expect(notice).toEqual(expect.objectContaining({ type: labels.PC_CONNECTED, id: 0, publicKey: 'pc-key' }))
+        })
+
+        describe('resuming after an unexpected drop', () => {
+          let tabletSocket
+
+          beforeEach(async () => {
+            tabletSocket = createMockWebSocket()
+            mockSockets.set(tabletSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
+            await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+            await state.storage.put(labels.PC_RESUME_TOKEN, 'resume-token')
+          })
+
+          it('should resume with a valid resume token inside the reconnect window', async () => {
+            await state.storage.put(labels.PC_RECONNECT_DEADLINE, Date.now() + 10_000)
+            const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.RESUME}=resume-token`, { headers })
+            const response = await relaySession.fetch(request)
+
+            expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+            expect(state.storage.delete).toHaveBeenCalledWith(labels.PC_RECONNECT_DEADLINE)
+            const notice = JSON.parse(tabletSocket.send.mock.calls[0][0])
+            expect(notice).toEqual(expect.objectContaining({ type: labels.PC_RECONNECTED, id: 0, resumed: true }))
+          })
+
+          it('should reject a resume token once the reconnect window has passed', async () => {
+            await state.storage.put(labels.PC_RECONNECT_DEADLINE, Date.now() - 1)
+            const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.RESUME}=resume-token`, { headers })
+            const response = await relaySession.fetch(request)
+
+            expect(response.status).toBe(StatusCodes.FORBIDDEN)
+            expect(tabletSocket.send).not.toHaveBeenCalled()
+          })
+
+          it('should reject a resume token when no reconnect window is open', async () => {
+            const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.RESUME}=resume-token`, { headers })
+            const response = await relaySession.fetch(request)
+            expect(response.status).toBe(StatusCodes.FORBIDDEN)
+          })
+
+          it('should reject an invalid resume token', async () => {
+            await state.storage.put(labels.PC_RECONNECT_DEADLINE, Date.now() + 10_000)
+            const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.RESUME}=wrong`, { headers })
+            const response = await relaySession.fetch(request)
+            expect(response.status).toBe(StatusCodes.FORBIDDEN)
+          })
         })
 
         it('should close the server socket if singleton violation happens after WebSocketPair creation', async () => {
@@ -294,15 +877,243 @@ describe('RelaySession Durable Object', () => {
             id: 5,
             type: labels.SYSTEM,
             message: labels.CONNECTION_ESTABLISHED,
-            newTabletToken: 'new-mock-token'
+            protocolVersion: 1,
+            capabilities: getCapabilities(1),
+            newTabletToken: 'new-mock-token',
+            resumeToken: 'new-mock-token',
+            pcPublicKey: null
           }))
 
+          // Check resume token registration
+          expect(state.storage.put).toHaveBeenCalledWith(labels.TABLET_RESUME_TOKENS, { 'new-mock-token': 5 })
+
           // Check notification to PC
           const pcSocket = state.getWebSockets(labels.PC_TYPE)[0]
           expect(pcSocket.send).toHaveBeenCalledWith(expect.stringContaining(`"type":"${labels.TABLET_CONNECTED}"`))
           expect(pcSocket.send).toHaveBeenCalledWith(expect.stringContaining('"id":5'))
           expect(pcSocket.send).toHaveBeenCalledWith(expect.stringContaining('"newTabletToken":"new-mock-token"'))
         })
+
+        it('should reject an expired tablet token with a distinct error', async () => {
+          await state.storage.put(labels.TABLET_TOKEN_EXPIRES_AT, Date.now() - 1)
+          const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`, { headers })
+          const response = await relaySession.fetch(request)
+          expect(response.status).toBe(StatusCodes.UNAUTHORIZED)
+          expect(await response.text()).toBe(labels.TOKEN_EXPIRED)
+          expect(state.acceptWebSocket).not.toHaveBeenCalled()
+        })
+
+        it('should give the rotated tablet token a fresh expiry', async () => {
+          await state.storage.put(labels.SESSION_OPTIONS, { tabletTokenTtlSeconds: 90, pcTokenTtlSeconds: 3600 })
+          const before = Date.now()
+          const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`, { headers })
+          await relaySession.fetch(request)
+
+          const expiresAt = await state.storage.get(labels.TABLET_TOKEN_EXPIRES_AT)
+          expect(expiresAt).toBeGreaterThanOrEqual(before + 90 * 1000)
+          const pcSocket = state.getWebSockets(labels.PC_TYPE)[0]
+          expect(JSON.parse(pcSocket.send.mock.calls[0][0]).newTabletTokenExpiresAt).toBe(expiresAt)
+        })
+
+        it('should hold a joining tablet back until the PC approves it in approval mode', async () => {
+          await state.storage.put(labels.SESSION_OPTIONS, { tabletTokenTtlSeconds: 600, pcTokenTtlSeconds: 3600, requireApproval: true })
+          await state.storage.put(labels.TABLET_ID_COUNTER, 5)
+          const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}&${searchParams.PUBLIC_KEY}=tablet-key`, {
+            headers: { ...headers, 'User-Agent': 'TabletApp/1.0' }
+          })
+          const response = await relaySession.fetch(request)
+
+          expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+          expect(lastMockSocket.server.deserializeAttachment()).toEqual({
+            connectedAt: expect.any(Number),
+            publicKey: 'tablet-key',
+            pending: true,
+            approvalDeadline: expect.any(Number),
+            userAgent: 'TabletApp/1.0'
+          })
+          expect(lastMockSocket.server.send).toHaveBeenCalledTimes(1)
+          expect(JSON.parse(lastMockSocket.server.send.mock.calls[0][0])).toEqual({
+            clientType: deviceTags.TABLET,
+            id: 5,
+            type: labels.APPROVAL_PENDING,
+            message: labels.AWAITING_APPROVAL
+          })
+          expect(await state.storage.get(labels.TABLET_RESUME_TOKENS)).toBeUndefined()
+
+          const pcSocket = state.getWebSockets(labels.PC_TYPE)[0]
+          expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+            type: labels.TABLET_JOIN_REQUEST,
+            id: 5,
+            publicKey: 'tablet-key',
+            userAgent: 'TabletApp/1.0',
+            approvalDeadline: lastMockSocket.server.deserializeAttachment().approvalDeadline
+          }))
+        })
+
+        it('should shorten a long user agent before keeping it with a pending tablet', async () => {
+          await state.storage.put(labels.SESSION_OPTIONS, { requireApproval: true })
+          const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`, {
+            headers: { ...headers, 'User-Agent': 'A'.repeat(4096) }
+          })
+          await relaySession.fetch(request)
+
+          expect(lastMockSocket.server.deserializeAttachment().userAgent).toHaveLength(256)
+        })
+
+        it('should keep the tablet token when rotation is switched off', async () => {
+          await state.storage.put(labels.SESSION_OPTIONS, { rotateTabletTokens: false })
+          const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`, { headers })
+          const response = await relaySession.fetch(request)
+
+          expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+          expect(await state.storage.get(labels.TABLET_CONNECTION_TOKEN)).toBe(MOCK_TABLET_TOKEN)
+          const pcSocket = state.getWebSockets(labels.PC_TYPE)[0]
+          const notification = JSON.parse(pcSocket.send.mock.calls[0][0])
+          expect(notification.type).toBe(labels.TABLET_CONNECTED)
+          expect(notification.newTabletToken).toBeUndefined()
+        })
+
+        it('should turn a tablet away once the session is full', async () => {
+          await state.storage.put(labels.SESSION_OPTIONS, { maxTablets: 1 })
+          mockSockets.set({ ...createMockWebSocket(), id: 'tablet1' }, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
+          const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`, { headers })
+          const response = await relaySession.fetch(request)
+
+          expect(response.status).toBe(StatusCodes.CONFLICT)
+          expect(await response.text()).toBe(labels.SESSION_FULL)
+          expect(state.acceptWebSocket).not.toHaveBeenCalled()
+          expect(await state.storage.get(labels.TABLET_CONNECTION_TOKEN)).toBe(MOCK_TABLET_TOKEN)
+        })
+
+        it('should give the tablet the PC public key in its welcome', async () => {
+          await state.storage.put(labels.PC_PUBLIC_KEY, 'pc-key')
+          const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}&${searchParams.PUBLIC_KEY}=tablet-key`, { headers })
+          await relaySession.fetch(request)
+
+          expect(JSON.parse(lastMockSocket.server.send.mock.calls[0][0]).pcPublicKey).toBe('pc-key')
+          expect(lastMockSocket.server.deserializeAttachment().publicKey).toBe('tablet-key')
+          const pcSocket = state.getWebSockets(labels.PC_TYPE)[0]
+          expect(pcSocket.send).toHaveBeenCalledWith(expect.stringContaining('"publicKey":"tablet-key"'))
+        })
+
+        describe('resuming a tablet', () => {
+          beforeEach(async () => {
+            await state.storage.put(labels.TABLET_ID_COUNTER, 5)
+            await state.storage.put(labels.TABLET_RESUME_TOKENS, { 'tablet-resume-token': 3 })
+          })
+
+          it('should restore the same tablet ID without using up the join token', async () => {
+            const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.RESUME}=tablet-resume-token`, { headers })
+            const response = await relaySession.fetch(request)
+
+            expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+            expect(state.acceptWebSocket).toHaveBeenCalledWith(expect.anything(), [
+              labels.TABLET_TYPE,
+              `${websocketTags.ID}:3`
+            ])
+            expect(await state.storage.get(labels.TABLET_ID_COUNTER)).toBe(5)
+            expect(await state.storage.get(labels.TABLET_CONNECTION_TOKEN)).toBe(MOCK_TABLET_TOKEN)
+            expect(JSON.parse(lastMockSocket.server.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+              id: 3,
+              resumeToken: 'tablet-resume-token'
+            }))
+
+            const pcSocket = state.getWebSockets(labels.PC_TYPE)[0]
+            const notice = JSON.parse(pcSocket.send.mock.calls[0][0])
+            expect(notice).toEqual(expect.objectContaining({ type: labels.TABLET_RECONNECTED, id: 3 }))
+            expect(notice.newTabletToken).toBeUndefined()
+          })
+
+          it('should close a stale socket still holding the resumed ID', async () => {
+            const staleSocket = createMockWebSocket()
+            mockSockets.set(staleSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:3`])
+
+            const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.RESUME}=tablet-resume-token`, { headers })
+            await relaySession.fetch(request)
+
+            expect(staleSocket.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, labels.TABLET_SUPERSEDED)
+            expect(staleSocket.deserializeAttachment()).toEqual(expect.objectContaining({ evicted: true }))
+            // The stale socket was the only other tablet, but its replacement keeps the PC around.
+            expect(state.getWebSockets(labels.PC_TYPE)[0].close).not.toHaveBeenCalled()
+          })
+
+          it('should leave the PC alone when tablet 0 resumes', async () => {
+            await state.storage.put(labels.TABLET_RESUME_TOKENS, { 'tablet-0-resume-token': 0 })
+            const staleSocket = createMockWebSocket()
+            mockSockets.set(staleSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:0`])
+
+            const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.RESUME}=tablet-0-resume-token`, { headers })
+            const response = await relaySession.fetch(request)
+
+            expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+            expect(staleSocket.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, labels.TABLET_SUPERSEDED)
+            const pcSocket = state.getWebSockets(labels.PC_TYPE)[0]
+            expect(pcSocket.close).not.toHaveBeenCalled()
+            expect(pcSocket.deserializeAttachment()?.evicted).toBeUndefined()
+            expect(lastMockSocket.server.close).not.toHaveBeenCalled()
+            expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({ type: labels.TABLET_RECONNECTED, id: 0 }))
+          })
+
+          it('should never supersede a socket of another type', async () => {
+            const pcSocket = state.getWebSockets(labels.PC_TYPE)[0]
+            await relaySession.supersede(pcSocket, deviceTags.TABLET, WsStatusCodes.NORMAL_CLOSURE, labels.TABLET_SUPERSEDED)
+
+            expect(pcSocket.close).not.toHaveBeenCalled()
+            expect(pcSocket.deserializeAttachment()?.evicted).toBeUndefined()
+          })
+
+          it('should cancel a pending tablet reconnect deadline', async () => {
+            await state.storage.put(labels.TABLET_RECONNECT_DEADLINE, Date.now() + 10_000)
+            const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.RESUME}=tablet-resume-token`, { headers })
+            await relaySession.fetch(request)
+            expect(state.storage.delete).toHaveBeenCalledWith(labels.TABLET_RECONNECT_DEADLINE)
+          })
+
+          it('should deliver messages queued while the tablet was away after its welcome', async () => {
+            await state.storage.put(`${labels.MESSAGE_QUEUE_PREFIX}${deviceTags.TABLET}:3`, [
+              { message: { payload: { stroke: 'KAT' } }, queuedAt: Date.now() }
+            ])
+            const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.RESUME}=tablet-resume-token`, { headers })
+            await relaySession.fetch(request)
+
+            const [welcome, queued] = lastMockSocket.server.send.mock.calls.map(([message]) => JSON.parse(message))
+            expect(welcome.type).toBe(labels.SYSTEM)
+            expect(queued).toEqual({ payload: { stroke: 'KAT' } })
+          })
+
+          it('should reject an unknown resume token', async () => {
+            const request = new Request(`https://test.com/${slugs.JOIN}?${searchParams.RESUME}=unknown`, { headers })
+            const response = await relaySession.fetch(request)
+            expect(response.status).toBe(StatusCodes.FORBIDDEN)
+          })
+        })
+      })
+
+      describe('encoding negotiation', () => {
+        beforeEach(async () => {
+          await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+        })
+
+        it('should tag a MessagePack socket and encode its welcome message', async () => {
+          const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}&${searchParams.ENCODING}=${encodings.MSGPACK}`, { headers })
+          const response = await relaySession.fetch(request)
+
+          expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+          expect(state.acceptWebSocket).toHaveBeenCalledWith(expect.anything(), [
+            labels.PC_TYPE,
+            `${websocketTags.ID}:0`,
+            `${websocketTags.ENCODING}:${encodings.MSGPACK}`
+          ])
+          const welcome = decode(lastMockSocket.server.send.mock.calls[0][0])
+          expect(welcome).toEqual(expect.objectContaining({ type: labels.SYSTEM, id: 0 }))
+        })
+
+        it('should reject an unsupported encoding', async () => {
+          const request = new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}&${searchParams.ENCODING}=xml`, { headers })
+          const response = await relaySession.fetch(request)
+          expect(response.status).toBe(StatusCodes.BAD_REQUEST)
+          expect(state.acceptWebSocket).not.toHaveBeenCalled()
+        })
       })
 
       it('should handle unexpected errors during fetch', async () => {
@@ -317,8 +1128,8 @@ describe('RelaySession Durable Object', () => {
 
   describe('iterateOverSockets', () => {
     it('should iterate over all sockets when no tag is provided', () => {
-      const socket1 = { id: 1 }
-      const socket2 = { id: 2 }
+      const socket1 = { ...createMockWebSocket(), id: 1 }
+      const socket2 = { ...createMockWebSocket(), id: 2 }
       mockSockets.set(socket1, [labels.PC_TYPE])
       mockSockets.set(socket2, [labels.TABLET_TYPE])
       const callback = vi.fn(socket => socket.id)
@@ -329,8 +1140,8 @@ describe('RelaySession Durable Object', () => {
     })
 
     it('should iterate over tagged sockets when a tag is provided', () => {
-      const socket1 = { id: 1 }
-      const socket2 = { id: 2 }
+      const socket1 = { ...createMockWebSocket(), id: 1 }
+      const socket2 = { ...createMockWebSocket(), id: 2 }
       mockSockets.set(socket1, [labels.PC_TYPE])
       mockSockets.set(socket2, [labels.TABLET_TYPE])
       const callback = vi.fn(socket => socket.id)
@@ -366,9 +1177,9 @@ describe('RelaySession Durable Object', () => {
     let tabletSockets
 
     beforeEach(() => {
-      pcSocket = { send: vi.fn(), close: vi.fn(), id: deviceTags.PC }
-      tabletSocket1 = { send: vi.fn(), close: vi.fn(), id: 'tablet1' }
-      tabletSocket2 = { send: vi.fn(), close: vi.fn(), id: 'tablet2' }
+      pcSocket = { ...createMockWebSocket(), id: deviceTags.PC }
+      tabletSocket1 = { ...createMockWebSocket(), id: 'tablet1' }
+      tabletSocket2 = { ...createMockWebSocket(), id: 'tablet2' }
       tabletSockets = [tabletSocket1, tabletSocket2]
 
       mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
@@ -376,28 +1187,201 @@ describe('RelaySession Durable Object', () => {
       mockSockets.set(tabletSocket2, [labels.TABLET_TYPE, `${websocketTags.ID}:2`])
     })
 
-    it('should handle invalid JSON', async () => {
-      await relaySession.webSocketMessage(pcSocket, 'not-json')
-      // No crash, just an error log (which is mocked)
-      expect(pcSocket.send).not.toHaveBeenCalled()
+    it('should disconnect a socket that exceeds its message rate limit', async () => {
+      relaySession.messageBurst = 2
+      relaySession.messagesPerSecond = 1
+      const message = JSON.stringify({ to: { type: deviceTags.TABLET, id: 1 }, payload: {} })
+
+      for (let i = 0; i < 4; i++) {
+        await relaySession.webSocketMessage(pcSocket, message)
+      }
+
+      expect(tabletSocket1.send).toHaveBeenCalledTimes(2)
+      expect(pcSocket.send).toHaveBeenCalledTimes(1)
+      expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+        type: labels.ERROR,
+        code: errorCodes.RATE_LIMITED
+      }))
+      expect(pcSocket.close).toHaveBeenCalledTimes(1)
+      expect(pcSocket.close).toHaveBeenCalledWith(closeCodes.RATE_LIMITED, labels.RATE_LIMIT_EXCEEDED)
     })
 
-    it('should handle ping and send pong', async () => {
-      const message = JSON.stringify({ type: 'ping' })
-      await relaySession.webSocketMessage(pcSocket, message)
-      expect(pcSocket.send).toHaveBeenCalledWith(JSON.stringify({ type: 'pong' }))
+    it('should keep separate rate limits for each socket', async () => {
+      relaySession.messageBurst = 1
+      relaySession.messagesPerSecond = 1
+      const message = JSON.stringify({ to: { type: deviceTags.PC, id: 0 }, payload: {} })
+
+      await relaySession.webSocketMessage(tabletSocket1, message)
+      await relaySession.webSocketMessage(tabletSocket2, message)
+
+      expect(pcSocket.send).toHaveBeenCalledTimes(2)
+      expect(tabletSocket1.close).not.toHaveBeenCalled()
+      expect(tabletSocket2.close).not.toHaveBeenCalled()
     })
 
-    it('should ignore messages with missing "to" or "payload"', async () => {
-      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: {} })) // missing payload
-      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: {} })) // missing to
-      expect(pcSocket.send).not.toHaveBeenCalled()
+    it('should reject frames over the size limit', async () => {
+      relaySession.maxFrameBytes = 16
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: { type: deviceTags.TABLET }, payload: 'too long' }))
       expect(tabletSocket1.send).not.toHaveBeenCalled()
+      expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+        type: labels.ERROR,
+        code: errorCodes.FRAME_TOO_LARGE
+      }))
     })
 
-    it('should handle "close" command', async () => {
-      const message = JSON.stringify({ to: {}, payload: { command: labels.CLOSE_CMD } })
-      await relaySession.webSocketMessage(tabletSocket1, message)
+    it('should reject a malformed envelope before routing', async () => {
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: { type: deviceTags.TABLET, id: '1' }, payload: {}, id: 'm1' }))
+      expect(tabletSocket1.send).not.toHaveBeenCalled()
+      expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+        type: labels.ERROR,
+        code: errorCodes.INVALID_MESSAGE,
+        messageId: 'm1'
+      }))
+    })
+
+    it('should reject a payload that does not match its schema', async () => {
+      await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({ to: { type: deviceTags.PC }, payload: { type: 'stroke', stroke: 42 } }))
+      expect(pcSocket.send).not.toHaveBeenCalled()
+      expect(JSON.parse(tabletSocket1.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+        type: labels.ERROR,
+        code: errorCodes.INVALID_PAYLOAD
+      }))
+    })
+
+    describe('transcript', () => {
+      const message = JSON.stringify({ to: { type: deviceTags.PC }, payload: { type: 'stroke', stroke: 'KAT' } })
+
+      it('should record relayed messages when the session asks for it', async () => {
+        await state.storage.put(labels.SESSION_OPTIONS, { recordTranscript: true })
+        await relaySession.webSocketMessage(tabletSocket1, message)
+
+        expect(pcSocket.send).toHaveBeenCalledTimes(1)
+        expect(state.storage.sql.exec).toHaveBeenCalledWith(
+          expect.stringContaining('INSERT INTO transcript'),
+          expect.any(Number),
+          deviceTags.TABLET,
+          1,
+          deviceTags.PC,
+          null,
+          null,
+          0,
+          JSON.stringify({ type: 'stroke', stroke: 'KAT' })
+        )
+      })
+
+      it('should record messages that reach nobody', async () => {
+        await state.storage.put(labels.SESSION_OPTIONS, { recordTranscript: true })
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: { type: deviceTags.TABLET, id: 9 }, payload: {} }))
+        expect(state.storage.sql.exec).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO transcript'), expect.any(Number), deviceTags.PC, 0, deviceTags.TABLET, 9, null, 0, '{}')
+      })
+
+      it('should record nothing by default', async () => {
+        await relaySession.webSocketMessage(tabletSocket1, message)
+        expect(state.storage.sql.exec).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('binary frames', () => {
+      const body = new Uint8Array([0xCA, 0xFE])
+
+      it('should relay a raw binary frame with the sender stamped into its header', async () => {
+        const frame = encodeBinaryFrame({ type: deviceTags.TABLET, id: 2 }, {}, body)
+        await relaySession.webSocketMessage(pcSocket, frame.buffer)
+
+        const expected = encodeBinaryFrame({ type: deviceTags.TABLET, id: 2 }, { type: deviceTags.PC, id: 0 }, body)
+        expect(tabletSocket2.send).toHaveBeenCalledWith(expected)
+        expect(tabletSocket1.send).not.toHaveBeenCalled()
+        expect(pcSocket.send).not.toHaveBeenCalled()
+      })
+
+      it('should relay a raw binary frame to every other socket of a type', async () => {
+        const frame = encodeBinaryFrame({ type: deviceTags.TABLET }, {}, body)
+        await relaySession.webSocketMessage(tabletSocket1, frame.buffer)
+
+        expect(tabletSocket1.send).not.toHaveBeenCalled()
+        expect(tabletSocket2.send).toHaveBeenCalledWith(encodeBinaryFrame({ type: deviceTags.TABLET }, { type: deviceTags.TABLET, id: 1 }, body))
+      })
+
+      it('should hand the body of a raw binary frame to a MessagePack recipient as its payload', async () => {
+        mockSockets.set(tabletSocket2, [labels.TABLET_TYPE, `${websocketTags.ID}:2`, `${websocketTags.ENCODING}:${encodings.MSGPACK}`])
+        const frame = encodeBinaryFrame({ type: deviceTags.TABLET, id: 2 }, {}, body)
+        await relaySession.webSocketMessage(pcSocket, frame.buffer)
+
+        expect(decode(tabletSocket2.send.mock.calls[0][0])).toEqual({ payload: body, from: { type: deviceTags.PC, id: 0 } })
+      })
+
+      it('should report a raw binary frame nobody could receive', async () => {
+        const frame = encodeBinaryFrame({ type: deviceTags.TABLET, id: 99 }, {}, body)
+        await relaySession.webSocketMessage(pcSocket, frame.buffer)
+        expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({ code: errorCodes.UNKNOWN_RECIPIENT }))
+      })
+
+      it('should reject a raw binary frame with a broken header', async () => {
+        await relaySession.webSocketMessage(pcSocket, new Uint8Array([1, 2]).buffer)
+        expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({ code: errorCodes.INVALID_MESSAGE }))
+      })
+
+      it('should decode envelopes from a MessagePack sender and encode for each recipient', async () => {
+        mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`, `${websocketTags.ENCODING}:${encodings.MSGPACK}`])
+        mockSockets.set(tabletSocket2, [labels.TABLET_TYPE, `${websocketTags.ID}:2`, `${websocketTags.ENCODING}:${encodings.MSGPACK}`])
+        const payload = { stroke: 'KAT' }
+        await relaySession.webSocketMessage(pcSocket, encode({ to: { type: deviceTags.TABLET }, payload }).slice().buffer)
+
+        const expectedMessage = { payload, from: { type: deviceTags.PC, id: 0 } }
+        expect(JSON.parse(tabletSocket1.send.mock.calls[0][0])).toEqual(expectedMessage)
+        expect(decode(tabletSocket2.send.mock.calls[0][0])).toEqual(expectedMessage)
+      })
+
+      it('should answer undecodable MessagePack with an encoded error frame', async () => {
+        mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`, `${websocketTags.ENCODING}:${encodings.MSGPACK}`])
+        await relaySession.webSocketMessage(pcSocket, new Uint8Array([0xC1]).buffer)
+        expect(decode(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+          type: labels.ERROR,
+          code: errorCodes.INVALID_MSGPACK
+        }))
+      })
+    })
+
+    it('should handle invalid JSON', async () => {
+      await relaySession.webSocketMessage(pcSocket, 'not-json')
+      // No crash, just an error frame back to the sender
+      expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual({
+        type: labels.ERROR,
+        code: errorCodes.INVALID_JSON,
+        message: expect.any(String)
+      })
+    })
+
+    it('should handle ping and send pong', async () => {
+      const message = JSON.stringify({ type: 'ping' })
+      await relaySession.webSocketMessage(pcSocket, message)
+      expect(pcSocket.send).toHaveBeenCalledWith(JSON.stringify({ type: 'pong' }))
+    })
+
+    it('should reject messages with missing "to" or "payload"', async () => {
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: {}, id: 'm1' })) // missing payload
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: {}, id: 'm2' })) // missing to
+      const errors = pcSocket.send.mock.calls.map(([message]) => JSON.parse(message))
+      expect(errors).toEqual([
+        expect.objectContaining({ type: labels.ERROR, code: errorCodes.INVALID_MESSAGE, messageId: 'm1' }),
+        expect.objectContaining({ type: labels.ERROR, code: errorCodes.INVALID_MESSAGE, messageId: 'm2' })
+      ])
+      expect(tabletSocket1.send).not.toHaveBeenCalled()
+    })
+
+    it('should reject an unknown command', async () => {
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: { command: 'reboot' }, id: 7 }))
+      expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual({
+        type: labels.ERROR,
+        code: errorCodes.UNKNOWN_COMMAND,
+        message: expect.stringContaining('reboot'),
+        messageId: 7
+      })
+    })
+
+    it('should handle "close" command', async () => {
+      const message = JSON.stringify({ to: {}, payload: { command: labels.CLOSE_CMD } })
+      await relaySession.webSocketMessage(tabletSocket1, message)
 
       const closeReason = `${labels.SESSION_CLOSED_BY_CLIENT_PREFIX} ${deviceTags.TABLET} (id: 1)`
       expect(pcSocket.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, closeReason)
@@ -408,12 +1392,13 @@ describe('RelaySession Durable Object', () => {
 
     it('should handle "get_participants" command', async () => {
       const message = JSON.stringify({ to: {}, payload: { command: labels.GET_PARTICIPANTS_CMD } })
+      tabletSocket1.deserializeAttachment.mockReturnValue({ connectedAt: 1234, publicKey: 'tablet-1-key' })
       await relaySession.webSocketMessage(pcSocket, message)
 
       const expectedParticipants = [
-        { type: deviceTags.PC, id: 0 },
-        { type: deviceTags.TABLET, id: 1 },
-        { type: deviceTags.TABLET, id: 2 }
+        { type: deviceTags.PC, id: 0, publicKey: null },
+        { type: deviceTags.TABLET, id: 1, publicKey: 'tablet-1-key' },
+        { type: deviceTags.TABLET, id: 2, publicKey: null }
       ]
 
       const expectedMessage = {
@@ -425,6 +1410,143 @@ describe('RelaySession Durable Object', () => {
       expect(sentMessage).toEqual(expectedMessage)
     })
 
+    describe('observers', () => {
+      let observerSocket
+
+      beforeEach(() => {
+        observerSocket = { ...createMockWebSocket(), id: deviceTags.OBSERVER }
+        mockSockets.set(observerSocket, [labels.OBSERVER_TYPE, `${websocketTags.ID}:0`])
+      })
+
+      it('should mirror broadcast strokes to observers', async () => {
+        const payload = { type: 'stroke', stroke: 'KAT' }
+        await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({ to: { type: deviceTags.PC }, payload }))
+        expect(JSON.parse(observerSocket.send.mock.calls[0][0])).toEqual({ payload, from: { type: deviceTags.TABLET, id: 1 } })
+      })
+
+      it('should not mirror private messages or unlisted payload types', async () => {
+        await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({ to: { type: deviceTags.PC, id: 0 }, payload: { type: 'stroke', stroke: 'KAT' } }))
+        await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({ to: { type: deviceTags.PC }, payload: { type: 'dictionary_update' } }))
+        expect(observerSocket.send).not.toHaveBeenCalled()
+      })
+
+      it('should answer observer pings but reject everything else', async () => {
+        await relaySession.webSocketMessage(observerSocket, JSON.stringify({ type: 'ping' }))
+        await relaySession.webSocketMessage(observerSocket, JSON.stringify({ to: { type: deviceTags.PC }, payload: { type: 'stroke', stroke: 'KAT' }, id: 'm1' }))
+        await relaySession.webSocketMessage(observerSocket, JSON.stringify({ payload: { command: labels.CLOSE_CMD } }))
+        await relaySession.webSocketMessage(observerSocket, encodeBinaryFrame({ type: deviceTags.PC }, { type: deviceTags.OBSERVER, id: 0 }, new Uint8Array([1])).buffer)
+
+        const replies = observerSocket.send.mock.calls.map(([message]) => JSON.parse(message))
+        expect(replies).toEqual([
+          { type: 'pong' },
+          expect.objectContaining({ code: errorCodes.READ_ONLY, messageId: 'm1' }),
+          expect.objectContaining({ code: errorCodes.READ_ONLY }),
+          expect.objectContaining({ code: errorCodes.READ_ONLY })
+        ])
+        expect(pcSocket.send).not.toHaveBeenCalled()
+        expect(pcSocket.close).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('approval mode', () => {
+      beforeEach(() => {
+        tabletSocket2.serializeAttachment({ connectedAt: 1234, publicKey: 'tablet-2-key', pending: true })
+      })
+
+      it('should not let a pending tablet send anything', async () => {
+        await relaySession.webSocketMessage(tabletSocket2, JSON.stringify({ to: { type: deviceTags.PC }, payload: { stroke: 'KAT' } }))
+        expect(pcSocket.send).not.toHaveBeenCalled()
+        expect(JSON.parse(tabletSocket2.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+          type: labels.ERROR,
+          code: errorCodes.NOT_APPROVED
+        }))
+      })
+
+      it('should not relay traffic to a pending tablet', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: { type: deviceTags.TABLET }, payload: { hello: 'tablets' } }))
+        expect(tabletSocket1.send).toHaveBeenCalledTimes(1)
+        expect(tabletSocket2.send).not.toHaveBeenCalled()
+      })
+
+      it('should not approve a pending tablet that was evicted', async () => {
+        tabletSocket2.serializeAttachment({ ...tabletSocket2.deserializeAttachment(), evicted: true })
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: { command: labels.APPROVE_CMD, id: 2 } }))
+
+        expect(tabletSocket2.send).not.toHaveBeenCalled()
+        expect(await state.storage.get(labels.TABLET_RESUME_TOKENS)).toBeUndefined()
+      })
+
+      it('should list pending tablets to the PC only', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: { command: labels.GET_PARTICIPANTS_CMD } }))
+        await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({ payload: { command: labels.GET_PARTICIPANTS_CMD } }))
+
+        expect(JSON.parse(pcSocket.send.mock.calls[0][0]).participants).toContainEqual({
+          type: deviceTags.TABLET,
+          id: 2,
+          publicKey: 'tablet-2-key',
+          pending: true
+        })
+        expect(JSON.parse(tabletSocket1.send.mock.calls[0][0]).participants.map(participant => participant.id)).not.toContain(2)
+      })
+
+      it('should welcome a tablet the PC approves', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: { command: labels.APPROVE_CMD, id: 2 } }))
+
+        expect(tabletSocket2.deserializeAttachment()).toEqual({ connectedAt: 1234, publicKey: 'tablet-2-key' })
+        expect(JSON.parse(tabletSocket2.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+          type: labels.SYSTEM,
+          id: 2,
+          message: labels.CONNECTION_ESTABLISHED,
+          resumeToken: 'new-mock-token'
+        }))
+        expect(await state.storage.get(labels.TABLET_RESUME_TOKENS)).toEqual({ 'new-mock-token': 2 })
+        expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+          type: labels.TABLET_CONNECTED,
+          id: 2,
+          publicKey: 'tablet-2-key'
+        }))
+      })
+
+      it('should close a tablet the PC denies with its reason', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: { command: labels.DENY_CMD, id: 2, reason: 'Unknown device' } }))
+        expect(tabletSocket2.close).toHaveBeenCalledWith(closeCodes.JOIN_DENIED, 'Unknown device')
+        expect(tabletSocket2.send).not.toHaveBeenCalled()
+      })
+
+      it('should only let the PC decide on join requests', async () => {
+        await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({ payload: { command: labels.APPROVE_CMD, id: 2 } }))
+        expect(tabletSocket2.send).not.toHaveBeenCalled()
+        expect(JSON.parse(tabletSocket1.send.mock.calls[0][0]).code).toBe(errorCodes.FORBIDDEN_COMMAND)
+      })
+
+      it('should report a decision on a tablet that is not waiting', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: { command: labels.APPROVE_CMD, id: 1 } }))
+        expect(JSON.parse(pcSocket.send.mock.calls[0][0]).code).toBe(errorCodes.UNKNOWN_RECIPIENT)
+      })
+    })
+
+    it('should hand the PC a fresh tablet token on request', async () => {
+      await state.storage.put(labels.TABLET_CONNECTION_TOKEN, MOCK_TABLET_TOKEN)
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: { command: labels.REFRESH_TABLET_TOKEN_CMD } }))
+
+      const reply = JSON.parse(pcSocket.send.mock.calls[0][0])
+      expect(reply).toEqual({ type: labels.TABLET_TOKEN, newTabletToken: 'new-mock-token', expiresAt: expect.any(Number) })
+      expect(await state.storage.get(labels.TABLET_CONNECTION_TOKEN)).toBe('new-mock-token')
+      expect(await state.storage.get(labels.TABLET_TOKEN_EXPIRES_AT)).toBe(reply.expiresAt)
+    })
+
+    it('should not let a tablet refresh the tablet token', async () => {
+      await state.storage.put(labels.TABLET_CONNECTION_TOKEN, MOCK_TABLET_TOKEN)
+      await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({ payload: { command: labels.REFRESH_TABLET_TOKEN_CMD }, id: 'm1' }))
+
+      expect(JSON.parse(tabletSocket1.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+        type: labels.ERROR,
+        code: errorCodes.FORBIDDEN_COMMAND,
+        messageId: 'm1'
+      }))
+      expect(await state.storage.get(labels.TABLET_CONNECTION_TOKEN)).toBe(MOCK_TABLET_TOKEN)
+    })
+
     it('should relay a private message to a specific client', async () => {
       const payload = { data: 'private hello' }
       const message = JSON.stringify({
@@ -445,6 +1567,75 @@ describe('RelaySession Durable Object', () => {
       expect(pcSocket.send).not.toHaveBeenCalled()
     })
 
+    it('should pass an encrypted envelope through without inspecting it', async () => {
+      const encrypted = { nonce: 'bm9uY2U=', ciphertext: 'Y2lwaGVydGV4dA==' }
+      await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({ to: { type: deviceTags.PC }, encrypted }))
+
+      expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual({
+        encrypted,
+        from: { type: deviceTags.TABLET, id: 1 }
+      })
+    })
+
+    it('should reject a message carrying both a payload and an encrypted envelope', async () => {
+      await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({ to: { type: deviceTags.PC }, payload: {}, encrypted: 'abc', id: 'm1' }))
+      expect(pcSocket.send).not.toHaveBeenCalled()
+      expect(JSON.parse(tabletSocket1.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+        code: errorCodes.INVALID_MESSAGE,
+        messageId: 'm1'
+      }))
+    })
+
+    describe('store-and-forward', () => {
+      const queueKey = `${labels.MESSAGE_QUEUE_PREFIX}${deviceTags.TABLET}:3`
+
+      beforeEach(async () => {
+        await state.storage.put(labels.TABLET_RESUME_TOKENS, { 'tablet-resume-token': 3 })
+      })
+
+      it('should queue a flagged message for a recipient that may reconnect', async () => {
+        const payload = { stroke: 'KAT' }
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: { type: deviceTags.TABLET, id: 3 }, payload, queue: true }))
+
+        const queue = await state.storage.get(queueKey)
+        expect(queue).toEqual([{ message: { payload, from: { type: deviceTags.PC, id: 0 } }, queuedAt: expect.any(Number) }])
+      })
+
+      it('should not queue a message without the flag', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: { type: deviceTags.TABLET, id: 3 }, payload: {} }))
+        expect(await state.storage.get(queueKey)).toBeUndefined()
+      })
+
+      it('should not queue for a recipient that cannot reconnect', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: { type: deviceTags.TABLET, id: 99 }, payload: {}, queue: true }))
+        expect(state.storage.list({ prefix: labels.MESSAGE_QUEUE_PREFIX }).size).toBe(0)
+      })
+
+      it('should drop the oldest messages once the queue is full', async () => {
+        relaySession.maxQueuedMessages = 2
+        for (const stroke of ['A', 'B', 'C']) {
+          await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: { type: deviceTags.TABLET, id: 3 }, payload: { stroke }, queue: true }))
+        }
+        const queue = await state.storage.get(queueKey)
+        expect(queue.map(({ message }) => message.payload.stroke)).toEqual(['B', 'C'])
+      })
+
+      it('should flush queued messages in order, skipping expired ones', async () => {
+        const now = Date.now()
+        await state.storage.put(queueKey, [
+          { message: { payload: { stroke: 'OLD' } }, queuedAt: now - relaySession.maxQueuedMessageAge - 1 },
+          { message: { payload: { stroke: 'A' } }, queuedAt: now },
+          { message: { payload: { stroke: 'B' } }, queuedAt: now }
+        ])
+        const tabletSocket = { send: vi.fn() }
+
+        await relaySession.flushMessageQueue(tabletSocket, { type: deviceTags.TABLET, id: 3 })
+
+        expect(tabletSocket.send.mock.calls.map(([message]) => JSON.parse(message).payload.stroke)).toEqual(['A', 'B'])
+        expect(await state.storage.get(queueKey)).toBeUndefined()
+      })
+    })
+
     it('should warn if private message recipient is not found', async () => {
       const payload = { data: 'private hello' }
       const message = JSON.stringify({
@@ -456,6 +1647,205 @@ describe('RelaySession Durable Object', () => {
       tabletSockets.forEach(tabletSocket => {
         expect(tabletSocket.send).not.toHaveBeenCalled()
       })
+      expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+        type: labels.ERROR,
+        code: errorCodes.UNKNOWN_RECIPIENT
+      }))
+    })
+
+    it('should report a public message that reached nobody', async () => {
+      mockSockets.delete(pcSocket)
+      await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({ to: { type: deviceTags.PC }, payload: {}, id: 'stroke-1' }))
+      expect(JSON.parse(tabletSocket1.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+        type: labels.ERROR,
+        code: errorCodes.UNKNOWN_RECIPIENT,
+        messageId: 'stroke-1'
+      }))
+    })
+
+    it('should report unexpected failures to the sender', async () => {
+      state.storage.get.mockRejectedValue(new Error('Storage unavailable'))
+      vi.spyOn(console, 'error').mockImplementationOnce(() => {})
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: { type: deviceTags.TABLET, id: 99 }, payload: {}, queue: true }))
+      expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+        type: labels.ERROR,
+        code: errorCodes.INTERNAL_ERROR
+      }))
+    })
+
+    describe('multicast', () => {
+      let observerSocket
+
+      beforeEach(() => {
+        observerSocket = { ...createMockWebSocket(), id: 'observer' }
+        mockSockets.set(observerSocket, [labels.OBSERVER_TYPE, `${websocketTags.ID}:0`])
+      })
+
+      it('should relay to a list of recipients and report how many got it', async () => {
+        const to = [{ type: deviceTags.TABLET, id: 2 }, { type: deviceTags.TABLET, id: 7 }, { type: deviceTags.TABLET, id: 2 }]
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ id: 'dict-1', to, payload: { type: 'dictionary_update' } }))
+
+        expect(tabletSocket1.send).not.toHaveBeenCalled()
+        expect(tabletSocket2.send).toHaveBeenCalledTimes(1)
+        expect(observerSocket.send).not.toHaveBeenCalled()
+        expect(pcSocket.send).toHaveBeenCalledWith(JSON.stringify({ type: labels.ACK, messageId: 'dict-1', delivered: 1 }))
+      })
+
+      it('should relay to everyone but the sender and the exceptions', async () => {
+        await relaySession.webSocketMessage(tabletSocket1, JSON.stringify({
+          id: 'all-1',
+          to: { type: labels.EVERYONE },
+          except: [{ type: deviceTags.TABLET, id: 2 }],
+          payload: { type: 'stroke', stroke: 'KAT' }
+        }))
+
+        expect(pcSocket.send).toHaveBeenCalledTimes(1)
+        expect(tabletSocket2.send).not.toHaveBeenCalled()
+        // Broadcasts to everyone are mirrored like any other broadcast
+        expect(observerSocket.send).toHaveBeenCalledTimes(1)
+        expect(tabletSocket1.send).toHaveBeenCalledWith(JSON.stringify({ type: labels.ACK, messageId: 'all-1', delivered: 1 }))
+      })
+
+      it('should leave the exceptions out of a message to a whole type', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ id: 'dict-3', to: { type: deviceTags.TABLET }, except: [{ type: deviceTags.TABLET, id: 1 }], payload: {} }))
+
+        expect(tabletSocket1.send).not.toHaveBeenCalled()
+        expect(tabletSocket2.send).toHaveBeenCalledTimes(1)
+        // Like lists, messages with exceptions are acknowledged without asking
+        expect(pcSocket.send).toHaveBeenCalledWith(JSON.stringify({ type: labels.ACK, messageId: 'dict-3', delivered: 1 }))
+      })
+
+      it('should report an error when none of the recipients is connected', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ id: 'dict-2', to: [{ type: deviceTags.TABLET, id: 9 }], payload: {} }))
+
+        expect(JSON.parse(pcSocket.send.mock.calls[0][0])).toEqual(expect.objectContaining({
+          type: labels.ERROR,
+          code: errorCodes.UNKNOWN_RECIPIENT,
+          messageId: 'dict-2'
+        }))
+      })
+    })
+
+    describe('requests', () => {
+      const lookup = (extra = {}) => JSON.stringify({
+        id: 'msg-1',
+        to: { type: deviceTags.PC, id: 0 },
+        kind: 'request',
+        requestId: 'lookup-1',
+        payload: { type: 'lookup', word: 'cat' },
+        ...extra
+      })
+      const reply = JSON.stringify({ to: { type: deviceTags.TABLET, id: 1 }, kind: 'response', requestId: 'lookup-1', payload: { stroke: 'KAT' } })
+      const lastFrame = socket => JSON.parse(socket.send.mock.calls.at(-1)[0])
+
+      it('should relay a request and wait for its response until the deadline', async () => {
+        await relaySession.webSocketMessage(tabletSocket1, lookup())
+
+        expect(lastFrame(pcSocket)).toEqual({
+          payload: { type: 'lookup', word: 'cat' },
+          from: { type: deviceTags.TABLET, id: 1 },
+          kind: 'request',
+          requestId: 'lookup-1'
+        })
+        const pending = await state.storage.get(labels.PENDING_REQUESTS)
+        expect(pending['tablet:1:lookup-1']).toEqual({
+          caller: { type: deviceTags.TABLET, id: 1 },
+          target: { type: deviceTags.PC, id: 0 },
+          requestId: 'lookup-1',
+          messageId: 'msg-1',
+          deadline: expect.any(Number)
+        })
+        expect(state.storage.setAlarm).toHaveBeenCalledWith(pending['tablet:1:lookup-1'].deadline)
+      })
+
+      it('should relay the response to the caller only once', async () => {
+        await relaySession.webSocketMessage(tabletSocket1, lookup())
+        await relaySession.webSocketMessage(pcSocket, reply)
+
+        expect(lastFrame(tabletSocket1)).toEqual(expect.objectContaining({ kind: 'response', requestId: 'lookup-1', payload: { stroke: 'KAT' } }))
+        expect(await state.storage.get(labels.PENDING_REQUESTS)).toEqual({})
+
+        await relaySession.webSocketMessage(pcSocket, reply)
+        expect(lastFrame(pcSocket)).toEqual(expect.objectContaining({ type: labels.ERROR, code: errorCodes.UNKNOWN_REQUEST }))
+      })
+
+      it('should not take a response from a client the request was not sent to', async () => {
+        await relaySession.webSocketMessage(tabletSocket1, lookup())
+        await relaySession.webSocketMessage(tabletSocket2, reply)
+
+        expect(lastFrame(tabletSocket2)).toEqual(expect.objectContaining({ type: labels.ERROR, code: errorCodes.UNKNOWN_REQUEST }))
+        expect(tabletSocket1.send).not.toHaveBeenCalled()
+      })
+
+      it('should let a request shorten its timeout but not lengthen it', async () => {
+        const now = Date.now()
+        await relaySession.webSocketMessage(tabletSocket1, lookup({ timeoutSeconds: 5 }))
+        await relaySession.webSocketMessage(tabletSocket2, lookup({ timeoutSeconds: 600 }))
+
+        const pending = await state.storage.get(labels.PENDING_REQUESTS)
+        expect(pending['tablet:1:lookup-1'].deadline - now).toBeLessThan(6 * 1000)
+        expect(pending['tablet:2:lookup-1'].deadline - now).toBeLessThan(relaySession.requestTimeout + 1000)
+      })
+
+      it('should refuse more pending requests than allowed', async () => {
+        relaySession.maxPendingRequests = 1
+        await relaySession.webSocketMessage(tabletSocket1, lookup())
+        await relaySession.webSocketMessage(tabletSocket2, lookup())
+
+        expect(lastFrame(tabletSocket2)).toEqual(expect.objectContaining({ type: labels.ERROR, code: errorCodes.TOO_MANY_REQUESTS, messageId: 'msg-1' }))
+        expect(pcSocket.send).toHaveBeenCalledTimes(1)
+      })
+
+      it('should tell the caller once a request times out', async () => {
+        await relaySession.webSocketMessage(tabletSocket1, lookup())
+        const pending = await state.storage.get(labels.PENDING_REQUESTS)
+        pending['tablet:1:lookup-1'].deadline = Date.now() - 1
+
+        await relaySession.alarm()
+
+        expect(lastFrame(tabletSocket1)).toEqual(expect.objectContaining({
+          type: labels.ERROR,
+          code: errorCodes.TIMEOUT,
+          messageId: 'msg-1',
+          requestId: 'lookup-1'
+        }))
+        expect(await state.storage.get(labels.PENDING_REQUESTS)).toEqual({})
+      })
+
+      it('should tell the caller when the target leaves before responding', async () => {
+        await relaySession.webSocketMessage(tabletSocket1, lookup())
+
+        await relaySession.webSocketClose(pcSocket, WsStatusCodes.NORMAL_CLOSURE, 'PC disconnected', true)
+
+        expect(tabletSocket1.send).toHaveBeenCalledWith(JSON.stringify({
+          type: labels.ERROR,
+          code: errorCodes.PEER_GONE,
+          message: 'pc (id: 0) left before responding to request lookup-1',
+          messageId: 'msg-1',
+          requestId: 'lookup-1'
+        }))
+      })
+    })
+
+    describe('acknowledgements', () => {
+      it('should acknowledge a delivered message when asked to', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ id: 'm1', to: { type: deviceTags.TABLET }, payload: {}, ack: true }))
+
+        expect(pcSocket.send).toHaveBeenCalledWith(JSON.stringify({ type: labels.ACK, messageId: 'm1', delivered: 2 }))
+      })
+
+      it('should acknowledge a queued message as queued', async () => {
+        await state.storage.put(labels.TABLET_RESUME_TOKENS, { 'resume-3': 3 })
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ id: 'm2', to: { type: deviceTags.TABLET, id: 3 }, payload: {}, queue: true, ack: true }))
+
+        expect(pcSocket.send).toHaveBeenCalledWith(JSON.stringify({ type: labels.ACK, messageId: 'm2', delivered: 0, queued: true }))
+      })
+
+      it('should not acknowledge messages by default', async () => {
+        await relaySession.webSocketMessage(pcSocket, JSON.stringify({ id: 'm3', to: { type: deviceTags.TABLET, id: 1 }, payload: {} }))
+
+        expect(pcSocket.send).not.toHaveBeenCalled()
+      })
     })
 
     it('should relay a public message to all clients of a type', async () => {
@@ -521,15 +1911,22 @@ describe('RelaySession Durable Object', () => {
     let tabletSockets
 
     beforeEach(() => {
-      pcSocket = { send: vi.fn(), close: vi.fn(), id: deviceTags.PC }
-      tabletSocket1 = { send: vi.fn(), close: vi.fn(), id: 'tablet1' }
-      tabletSocket2 = { send: vi.fn(), close: vi.fn(), id: 'tablet2' }
+      pcSocket = { ...createMockWebSocket(), id: deviceTags.PC }
+      tabletSocket1 = { ...createMockWebSocket(), id: 'tablet1' }
+      tabletSocket2 = { ...createMockWebSocket(), id: 'tablet2' }
       tabletSockets = [tabletSocket1, tabletSocket2]
 
       mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
       mockSockets.set(tabletSocket1, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
     })
 
+    it('should let a tablet that was never approved leave without closing the PC', async () => {
+      tabletSocket1.serializeAttachment({ connectedAt: 1234, publicKey: null, pending: true })
+      mockSockets.delete(tabletSocket1)
+      await relaySession.webSocketClose(tabletSocket1, closeCodes.JOIN_DENIED, labels.JOIN_DENIED, true)
+      expect(pcSocket.close).not.toHaveBeenCalled()
+    })
+
     it('should do nothing if close was initiated by client command', async () => {
       const reason = `${labels.SESSION_CLOSED_BY_CLIENT_PREFIX} tablet (id: 1)`
       await relaySession.webSocketClose(tabletSocket1, WsStatusCodes.NORMAL_CLOSURE, reason, true)
@@ -539,23 +1936,48 @@ describe('RelaySession Durable Object', () => {
     it('should close all tablets if the PC disconnects', async () => {
       mockSockets.set(tabletSocket2, [labels.TABLET_TYPE, `${websocketTags.ID}:2`])
 
-      await relaySession.webSocketClose(pcSocket, WsStatusCodes.GOING_AWAY, 'PC disconnected', false)
+      await relaySession.webSocketClose(pcSocket, WsStatusCodes.NORMAL_CLOSURE, 'PC disconnected', true)
 
       const closeReason = `${deviceTags.PC} (id: 0) disconnected`
       tabletSockets.forEach(tabletSocket => {
         expect(tabletSocket.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, closeReason)
       })
+      expect(state.storage.delete).toHaveBeenCalledWith(labels.PC_RESUME_TOKEN)
     })
 
     it('should close a single tablet if the PC disconnects', async () => {
       // Only tabletSocket1 is connected in the beforeEach setup
 
-      await relaySession.webSocketClose(pcSocket, WsStatusCodes.GOING_AWAY, 'PC disconnected', false)
+      await relaySession.webSocketClose(pcSocket, WsStatusCodes.NORMAL_CLOSURE, 'PC disconnected', true)
 
       const closeReason = `${deviceTags.PC} (id: 0) disconnected`
       expect(tabletSocket1.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, closeReason)
     })
 
+    it('should keep tablets connected while a dropped PC may reconnect', async () => {
+      mockSockets.set(tabletSocket2, [labels.TABLET_TYPE, `${websocketTags.ID}:2`])
+
+      await relaySession.webSocketClose(pcSocket, WsStatusCodes.GOING_AWAY, 'PC disconnected', false)
+
+      const reconnectDeadline = await state.storage.get(labels.PC_RECONNECT_DEADLINE)
+      expect(reconnectDeadline).toBeGreaterThan(Date.now())
+      expect(state.storage.setAlarm.mock.calls[0][0]).toBeLessThanOrEqual(reconnectDeadline)
+      tabletSockets.forEach(tabletSocket => {
+        expect(tabletSocket.close).not.toHaveBeenCalled()
+        const notice = JSON.parse(tabletSocket.send.mock.calls[0][0])
+        expect(notice).toEqual(expect.objectContaining({ type: labels.PC_RECONNECTING, id: 0, reconnectDeadline }))
+      })
+    })
+
+    it('should close tablets at once if the reconnect window is disabled', async () => {
+      relaySession.reconnectGracePeriod = 0
+
+      await relaySession.webSocketClose(pcSocket, WsStatusCodes.GOING_AWAY, 'PC disconnected', false)
+
+      expect(tabletSocket1.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, `${deviceTags.PC} (id: 0) disconnected`)
+      expect(tabletSocket1.send).not.toHaveBeenCalled()
+    })
+
     it('should not close PC if a tablet disconnects but others remain', async () => {
       mockSockets.set(tabletSocket2, [labels.TABLET_TYPE, `${websocketTags.ID}:2`])
 
@@ -583,19 +2005,111 @@ describe('RelaySession Durable Object', () => {
         }
       })
 
-      await relaySession.webSocketClose(tabletSocket1, WsStatusCodes.GOING_AWAY, 'Tablet disconnected', false)
+      await relaySession.webSocketClose(tabletSocket1, WsStatusCodes.NORMAL_CLOSURE, 'Tablet disconnected', true)
 
       const closeReason = `${labels.LAST_TABLET_DISCONNECTED} (was id: 1)`
       expect(pcSocket.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, closeReason)
     })
 
+    it('should keep the PC while the last tablet may reconnect', async () => {
+      state.getWebSockets.mockImplementation(tag => tag === labels.PC_TYPE ? [pcSocket] : [])
+
+      await relaySession.webSocketClose(tabletSocket1, WsStatusCodes.GOING_AWAY, 'Tablet disconnected', false)
+
+      expect(pcSocket.close).not.toHaveBeenCalled()
+      expect(await state.storage.get(labels.TABLET_RECONNECT_DEADLINE)).toBeGreaterThan(Date.now())
+      expect(state.storage.setAlarm).toHaveBeenCalled()
+    })
+
+    it('should forget the resume token of a tablet that left on purpose', async () => {
+      await state.storage.put(labels.TABLET_RESUME_TOKENS, { 'token-1': 1, 'token-2': 2 })
+      await relaySession.webSocketClose(tabletSocket1, WsStatusCodes.NORMAL_CLOSURE, 'Bye', true)
+      expect(await state.storage.get(labels.TABLET_RESUME_TOKENS)).toEqual({ 'token-2': 2 })
+    })
+
+    it('should keep the resume token of a tablet that dropped', async () => {
+      await state.storage.put(labels.TABLET_RESUME_TOKENS, { 'token-1': 1 })
+      await relaySession.webSocketClose(tabletSocket1, WsStatusCodes.GOING_AWAY, 'Tunnel', false)
+      expect(await state.storage.get(labels.TABLET_RESUME_TOKENS)).toEqual({ 'token-1': 1 })
+    })
+
     it('should handle disconnection of an unknown client type gracefully', async () => {
-      const unknownSocket = { id: 'something' }
+      const unknownSocket = { ...createMockWebSocket(), id: 'something' }
       mockSockets.set(unknownSocket, [`${websocketTags.TYPE}:${deviceTags.UNKNOWN}`, `${websocketTags.ID}:-1`])
       await expect(relaySession.webSocketClose(unknownSocket, WsStatusCodes.GOING_AWAY, 'Something disconnected', false)).resolves.not.toThrow()
     })
   })
 
+  describe('presence', () => {
+    const headers = { Upgrade: 'websocket' }
+    let subscriber
+    let bystander
+
+    const sentOfType = (socket, type) => socket.send.mock.calls
+      .map(([frame]) => JSON.parse(frame))
+      .filter(message => message.type === type)
+
+    beforeEach(async () => {
+      subscriber = { ...createMockWebSocket(), id: 'tablet1' }
+      bystander = { ...createMockWebSocket(), id: 'tablet2' }
+      mockSockets.set(subscriber, [labels.TABLET_TYPE, `${websocketTags.ID}:1`, labels.PRESENCE_SUBSCRIBER])
+      mockSockets.set(bystander, [labels.TABLET_TYPE, `${websocketTags.ID}:2`])
+      await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+    })
+
+    it('should tag sockets that ask for presence events', async () => {
+      await relaySession.fetch(new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}&${searchParams.PRESENCE}=true`, { headers }))
+
+      expect(state.acceptWebSocket).toHaveBeenCalledWith(expect.anything(), [labels.PC_TYPE, `${websocketTags.ID}:0`, labels.PRESENCE_SUBSCRIBER])
+    })
+
+    it('should announce a new participant to subscribers only', async () => {
+      await relaySession.fetch(new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers }))
+
+      expect(sentOfType(subscriber, labels.PARTICIPANT_JOINED)).toEqual([
+        { type: labels.PARTICIPANT_JOINED, clientType: deviceTags.PC, id: 0, timestamp: expect.any(Number) }
+      ])
+      expect(sentOfType(bystander, labels.PARTICIPANT_JOINED)).toEqual([])
+      expect(sentOfType(lastMockSocket.server, labels.PARTICIPANT_JOINED)).toEqual([])
+    })
+
+    it('should announce a participant that left with the reason and close code', async () => {
+      await relaySession.webSocketClose(bystander, WsStatusCodes.GOING_AWAY, 'Tablet 2 disconnected', false)
+
+      expect(sentOfType(subscriber, labels.PARTICIPANT_LEFT)).toEqual([{
+        type: labels.PARTICIPANT_LEFT,
+        clientType: deviceTags.TABLET,
+        id: 2,
+        reason: 'Tablet 2 disconnected',
+        code: WsStatusCodes.GOING_AWAY,
+        timestamp: expect.any(Number)
+      }])
+    })
+
+    it('should not announce a socket superseded by its own client', async () => {
+      await relaySession.webSocketClose(bystander, WsStatusCodes.NORMAL_CLOSURE, labels.TABLET_SUPERSEDED, true)
+
+      expect(sentOfType(subscriber, labels.PARTICIPANT_LEFT)).toEqual([])
+    })
+
+    it('should announce a pending tablet only once it is approved', async () => {
+      const pcSocket = { ...createMockWebSocket(), id: deviceTags.PC }
+      const pendingSocket = { ...createMockWebSocket(), id: 'tablet3' }
+      mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
+      mockSockets.set(pendingSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:3`])
+      pendingSocket.serializeAttachment({ connectedAt: Date.now(), publicKey: null, pending: true })
+
+      await relaySession.webSocketClose(pendingSocket, WsStatusCodes.GOING_AWAY, 'Tablet 3 disconnected', false)
+      expect(sentOfType(subscriber, labels.PARTICIPANT_LEFT)).toEqual([])
+
+      pendingSocket.serializeAttachment({ connectedAt: Date.now(), publicKey: null, pending: true })
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: { command: labels.APPROVE_CMD, id: 3 } }))
+      expect(sentOfType(subscriber, labels.PARTICIPANT_JOINED)).toEqual([
+        expect.objectContaining({ clientType: deviceTags.TABLET, id: 3 })
+      ])
+    })
+  })
+
   describe('getNextTabletId', () => {
     it('should initialize counter to 0 if not in storage', async () => {
       state.storage.get.mockResolvedValue(undefined)
@@ -613,17 +2127,381 @@ describe('RelaySession Durable Object', () => {
 
   describe('alarm', () => {
     it('should set a new keep-alive alarm if sockets are connected', async () => {
-      mockSockets.set({}, []) // Add a mock socket
+      mockSockets.set(createMockWebSocket(), []) // Add a mock socket
       await relaySession.alarm()
       expect(state.storage.setAlarm).toHaveBeenCalled()
       expect(state.storage.delete).not.toHaveBeenCalled()
     })
 
+    it('should tear the session down if the PC did not reconnect in time', async () => {
+      const tabletSocket = createMockWebSocket()
+      mockSockets.set(tabletSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
+      await state.storage.put(labels.PC_RECONNECT_DEADLINE, Date.now() - 1)
+
+      await relaySession.alarm()
+
+      expect(tabletSocket.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, labels.PC_RECONNECT_TIMED_OUT)
+      expect(state.storage.delete).toHaveBeenCalledWith(labels.PC_RECONNECT_DEADLINE)
+      expect(state.storage.delete).toHaveBeenCalledWith(labels.PC_RESUME_TOKEN)
+      expect(state.storage.delete).toHaveBeenCalledWith(labels.TABLET_CONNECTION_TOKEN)
+    })
+
+    it('should close the PC if the last tablet did not reconnect in time', async () => {
+      const pcSocket = createMockWebSocket()
+      mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
+      await state.storage.put(labels.TABLET_RECONNECT_DEADLINE, Date.now() - 1)
+
+      await relaySession.alarm()
+
+      expect(pcSocket.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, labels.LAST_TABLET_RECONNECT_TIMED_OUT)
+      expect(state.storage.delete).toHaveBeenCalledWith(labels.TABLET_RECONNECT_DEADLINE)
+    })
+
+    it('should not let the keep-alive overshoot an open reconnect window', async () => {
+      const reconnectDeadline = Date.now() + 1000
+      mockSockets.set(createMockWebSocket(), [labels.TABLET_TYPE])
+      await state.storage.put(labels.PC_RECONNECT_DEADLINE, reconnectDeadline)
+
+      await relaySession.alarm()
+
+      expect(state.storage.setAlarm).toHaveBeenCalledWith(reconnectDeadline)
+      expect(state.storage.delete).not.toHaveBeenCalled()
+    })
+
+    it('should turn away pending tablets the PC did not answer in time', async () => {
+      const expiredSocket = createMockWebSocket()
+      const waitingSocket = createMockWebSocket()
+      const approvalDeadline = Date.now() + 1000
+      expiredSocket.serializeAttachment({ connectedAt: Date.now(), publicKey: null, pending: true, approvalDeadline: Date.now() - 1 })
+      waitingSocket.serializeAttachment({ connectedAt: Date.now(), publicKey: null, pending: true, approvalDeadline })
+      mockSockets.set(expiredSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
+      mockSockets.set(waitingSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:2`])
+
+      await relaySession.alarm()
+
+      expect(expiredSocket.close).toHaveBeenCalledWith(closeCodes.JOIN_DENIED, labels.APPROVAL_TIMED_OUT)
+      expect(waitingSocket.close).not.toHaveBeenCalled()
+      expect(state.storage.setAlarm).toHaveBeenLastCalledWith(approvalDeadline)
+    })
+
+    it('should keep a session whose only PC dropped until its reconnect window closes', async () => {
+      const pcSocket = createMockWebSocket()
+      mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
+      await state.storage.put(labels.TABLET_CONNECTION_TOKEN, MOCK_TABLET_TOKEN)
+      await relaySession.webSocketClose(pcSocket, WsStatusCodes.GOING_AWAY, 'PC disconnected', false)
+      mockSockets.delete(pcSocket)
+      const reconnectDeadline = await state.storage.get(labels.PC_RECONNECT_DEADLINE)
+
+      // The keep-alive fires before the reconnect window closes
+      await relaySession.alarm()
+
+      expect(await state.storage.get(labels.TABLET_CONNECTION_TOKEN)).toBe(MOCK_TABLET_TOKEN)
+      expect(await state.storage.get(labels.PC_RECONNECT_DEADLINE)).toBe(reconnectDeadline)
+      // The next keep-alive, which comes before the deadline
+      expect(state.storage.setAlarm.mock.lastCall[0]).toBeLessThanOrEqual(reconnectDeadline)
+      expect(await state.storage.getAlarm()).toBeGreaterThan(Date.now())
+    })
+
     it('should clean up storage if no sockets are connected (session expired)', async () => {
       // No sockets in mockSockets
       await relaySession.alarm()
       expect(state.storage.delete).toHaveBeenCalledWith(labels.TABLET_CONNECTION_TOKEN)
       expect(state.storage.setAlarm).not.toHaveBeenCalled()
     })
+
+    describe('idle sockets', () => {
+      let pcSocket
+      let tabletSocket
+      const longAgo = () => Date.now() - relaySession.idleTimeout - 1
+
+      beforeEach(() => {
+        pcSocket = createMockWebSocket()
+        tabletSocket = createMockWebSocket()
+        mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
+        mockSockets.set(tabletSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
+        pcSocket.serializeAttachment({ connectedAt: Date.now(), publicKey: null })
+      })
+
+      it('should evict a silent tablet as an unexpected drop', async () => {
+        tabletSocket.serializeAttachment({ connectedAt: longAgo(), publicKey: null })
+
+        await relaySession.alarm()
+
+        expect(tabletSocket.close).toHaveBeenCalledWith(closeCodes.IDLE_TIMEOUT, labels.IDLE_TIMEOUT)
+        expect(tabletSocket.deserializeAttachment().evicted).toBe(true)
+        // The tablet was the last one, so the PC waits for it to resume.
+        expect(await state.storage.get(labels.TABLET_RECONNECT_DEADLINE)).toBeGreaterThan(Date.now())
+        expect(pcSocket.close).not.toHaveBeenCalled()
+      })
+
+      it('should open the reconnect window for a silent PC', async () => {
+        pcSocket.serializeAttachment({ connectedAt: longAgo(), publicKey: null })
+        tabletSocket.serializeAttachment({ connectedAt: Date.now(), publicKey: null })
+
+        await relaySession.alarm()
+
+        expect(pcSocket.close).toHaveBeenCalledWith(closeCodes.IDLE_TIMEOUT, labels.IDLE_TIMEOUT)
+        expect(await state.storage.get(labels.PC_RECONNECT_DEADLINE)).toBeGreaterThan(Date.now())
+        expect(relaySession.countSockets(labels.PC_TYPE)).toBe(0)
+      })
+
+      it('should keep sockets whose pings the runtime answered recently', async () => {
+        tabletSocket.serializeAttachment({ connectedAt: longAgo(), publicKey: null })
+        state.getWebSocketAutoResponseTimestamp.mockImplementation(socket => socket === tabletSocket ? new Date() : null)
+
+        await relaySession.alarm()
+
+        expect(tabletSocket.close).not.toHaveBeenCalled()
+      })
+
+      it('should count any frame as activity', async () => {
+        tabletSocket.serializeAttachment({ connectedAt: longAgo(), publicKey: null })
+        await relaySession.webSocketMessage(tabletSocket, JSON.stringify({ type: labels.PING }))
+
+        await relaySession.alarm()
+
+        expect(tabletSocket.close).not.toHaveBeenCalled()
+      })
+
+      it('should not evict anyone when the idle timeout is disabled', async () => {
+        relaySession.idleTimeout = 0
+        tabletSocket.serializeAttachment({ connectedAt: longAgo(), publicKey: null })
+
+        await relaySession.alarm()
+
+        expect(tabletSocket.close).not.toHaveBeenCalled()
+      })
+
+      it('should not handle the disconnect of an evicted socket twice', async () => {
+        tabletSocket.serializeAttachment({ connectedAt: longAgo(), publicKey: null })
+        await relaySession.alarm()
+        const handleDisconnect = vi.spyOn(relaySession, 'handleDisconnect')
+
+        await relaySession.webSocketClose(tabletSocket, WsStatusCodes.GOING_AWAY, 'Tablet disconnected', false)
+
+        expect(handleDisconnect).not.toHaveBeenCalled()
+      })
+    })
+  })
+
+  describe('metrics', () => {
+    let pcSocket
+    let tabletSocket
+
+    beforeEach(() => {
+      pcSocket = { ...createMockWebSocket(), id: deviceTags.PC }
+      tabletSocket = { ...createMockWebSocket(), id: 'tablet1' }
+      mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
+      mockSockets.set(tabletSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
+    })
+
+    it('should count relayed messages and bytes for the session and each client', async () => {
+      const message = JSON.stringify({ to: { type: deviceTags.PC }, payload: { type: 'stroke', stroke: 'KAT' } })
+      await relaySession.webSocketMessage(tabletSocket, message)
+
+      const sentBytes = new TextEncoder().encode(pcSocket.send.mock.calls[0][0]).byteLength
+      const { totals, clients } = relaySession.metrics
+      expect(totals[metricNames.MESSAGES_RELAYED]).toEqual({ 'type=tablet': 1 })
+      expect(totals[metricNames.BYTES_RECEIVED]).toEqual({ 'type=tablet': message.length })
+      expect(totals[metricNames.BYTES_SENT]).toEqual({ 'type=pc': sentBytes })
+      expect(clients['tablet:1'][metricNames.BYTES_RECEIVED]).toEqual({ 'type=tablet': message.length })
+      expect(clients['pc:0'][metricNames.BYTES_SENT]).toEqual({ 'type=pc': sentBytes })
+      // Counting costs no storage work
+      expect(state.storage.put).not.toHaveBeenCalledWith(labels.METRICS, expect.anything())
+    })
+
+    it('should persist the counters on the alarm and when a socket closes', async () => {
+      await state.storage.put(labels.PC_CONNECTION_TOKEN, MOCK_PC_TOKEN)
+      relaySession.countMetric(metricNames.COMMANDS, { command: labels.CLOSE_CMD }, pcSocket)
+
+      await relaySession.alarm()
+      expect(state.storage.put).toHaveBeenCalledWith(labels.METRICS, relaySession.metrics)
+
+      state.storage.put.mockClear()
+      await relaySession.webSocketClose(tabletSocket, WsStatusCodes.NORMAL_CLOSURE, 'Tablet closed', true)
+      expect(state.storage.put).toHaveBeenCalledWith(labels.METRICS, relaySession.metrics)
+    })
+
+    it('should leave nothing behind in a session that was never initialized', async () => {
+      const headers = { Upgrade: 'websocket' }
+      await relaySession.fetch(new Request(`https://test.com/${slugs.JOIN}?${searchParams.TOKEN}=made-up`, { headers }))
+      await relaySession.alarm()
+
+      expect(relaySession.metrics.totals[metricNames.CONNECTIONS_REJECTED]).toEqual({ 'error=TokenError': 1 })
+      expect(state.storage.put).not.toHaveBeenCalled()
+    })
+
+    it('should count drops by reason and commands by name', async () => {
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ to: { type: deviceTags.TABLET, id: 9 }, payload: {} }))
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: { command: labels.GET_PARTICIPANTS_CMD } }))
+      await relaySession.webSocketMessage(pcSocket, JSON.stringify({ payload: { command: 'made_up' } }))
+
+      const { totals } = relaySession.metrics
+      expect(totals[metricNames.MESSAGES_DROPPED]).toEqual({
+        [`reason=${errorCodes.UNKNOWN_RECIPIENT}`]: 1,
+        [`reason=${errorCodes.UNKNOWN_COMMAND}`]: 1
+      })
+      expect(totals[metricNames.COMMANDS]).toEqual({ [`command=${labels.GET_PARTICIPANTS_CMD}`]: 1 })
+      expect(totals[metricNames.MESSAGES_RELAYED]).toBeUndefined()
+    })
+
+    it('should count accepted and rejected connections', async () => {
+      await state.storage.put(labels.TABLET_CONNECTION_TOKEN, MOCK_TABLET_TOKEN)
+      const headers = { Upgrade: 'websocket' }
+      await relaySession.fetch(new Request(`https://test.com/${slugs.JOIN}?${searchParams.TOKEN}=${MOCK_TABLET_TOKEN}`, { headers }))
+      await relaySession.fetch(new Request(`https://test.com/${slugs.JOIN}?${searchParams.TOKEN}=invalid`, { headers }))
+
+      const { totals } = relaySession.metrics
+      expect(totals[metricNames.CONNECTIONS]).toEqual({ 'type=tablet': 1 })
+      expect(totals[metricNames.CONNECTIONS_REJECTED]).toEqual({ 'error=TokenError': 1 })
+    })
+
+    it('should show the session counters as JSON', async () => {
+      relaySession.countMetric(metricNames.COMMANDS, { command: labels.CLOSE_CMD }, pcSocket)
+      const response = await relaySession.fetch(new Request(`https://test.com/${slugs.SESSION}/some-id/${slugs.METRICS}`))
+
+      expect(response.status).toBe(StatusCodes.OK)
+      expect(JSON.parse(response.body)).toEqual({
+        totals: { [metricNames.COMMANDS]: { 'command=close': 1 } },
+        clients: { 'pc:0': { [metricNames.COMMANDS]: { 'command=close': 1 } } }
+      })
+    })
+
+    describe('reportMetrics', () => {
+      let aggregator
+
+      beforeEach(() => {
+        aggregator = { fetch: vi.fn(async () => new OriginalResponse(null, { status: StatusCodes.NO_CONTENT })) }
+        relaySession.env = {
+          ...env,
+          METRICS_AGGREGATOR: { idFromName: vi.fn(name => name), get: vi.fn(() => aggregator) }
+        }
+        relaySession.countMetric(metricNames.CONNECTIONS, { type: deviceTags.PC })
+      })
+
+      it('should hand the unreported counts to the aggregator', async () => {
+        await relaySession.reportMetrics()
+
+        const [request] = aggregator.fetch.mock.calls[0]
+        expect(request.method).toBe(HttpMethods.POST)
+        expect(new URL(request.url).pathname).toBe(`/${slugs.REPORT}`)
+        expect(await request.json()).toEqual({ [metricNames.CONNECTIONS]: { 'type=pc': 1 } })
+        expect(relaySession.metrics.unreported).toEqual({})
+        expect(relaySession.metrics.totals).toEqual({ [metricNames.CONNECTIONS]: { 'type=pc': 1 } })
+      })
+
+      it('should keep the counts for the next report if the aggregator fails', async () => {
+        vi.spyOn(console, 'error').mockImplementationOnce(() => {})
+        aggregator.fetch.mockResolvedValueOnce(new OriginalResponse(null, { status: StatusCodes.INTERNAL_SERVER_ERROR }))
+        await relaySession.reportMetrics()
+        expect(relaySession.metrics.unreported).toEqual({ [metricNames.CONNECTIONS]: { 'type=pc': 1 } })
+      })
+
+      it('should report from the alarm', async () => {
+        await relaySession.alarm()
+        expect(aggregator.fetch).toHaveBeenCalledTimes(1)
+      })
+
+      it('should report before a revocation wipes the counters', async () => {
+        await relaySession.revoke()
+        expect(aggregator.fetch).toHaveBeenCalledTimes(1)
+        expect(relaySession.metrics).toEqual({ totals: {}, unreported: {}, clients: {} })
+      })
+    })
+  })
+
+  describe('session registry', () => {
+    let registry
+    const headers = { Upgrade: 'websocket' }
+
+    /**
+     * @returns {Promise<Array<{slug: string, body: object}>>} The notifications the registry received.
+     */
+    const getNotifications = () => Promise.all(registry.fetch.mock.calls.map(async ([request]) => ({
+      slug: new URL(request.url).pathname.slice(1),
+      body: await request.json()
+    })))
+
+    beforeEach(async () => {
+      registry = { fetch: vi.fn(async () => new OriginalResponse(null, { status: StatusCodes.NO_CONTENT })) }
+      relaySession.env = {
+        ...env,
+        SESSION_REGISTRY: { idFromName: vi.fn(name => name), get: vi.fn(() => registry) }
+      }
+      await relaySession.initialize(MOCK_TABLET_TOKEN, MOCK_PC_TOKEN, undefined, 'session-1')
+    })
+
+    it('should remember its session ID', async () => {
+      expect(await state.storage.get(labels.SESSION_ID)).toBe('session-1')
+    })
+
+    it('should report connections to the registry', async () => {
+      await relaySession.fetch(new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers }))
+
+      expect(await getNotifications()).toEqual([{
+        slug: slugs.UPDATE,
+        body: { sessionId: 'session-1', createdAt: expect.any(Number), pcConnected: true, tablets: 0, observers: 0 }
+      }])
+    })
+
+    it('should report disconnections to the registry', async () => {
+      const tabletSocket = createMockWebSocket()
+      mockSockets.set(tabletSocket, [labels.TABLET_TYPE, `${websocketTags.ID}:1`])
+      await relaySession.webSocketClose(tabletSocket, WsStatusCodes.NORMAL_CLOSURE, 'Bye', true)
+
+      const [notification] = await getNotifications()
+      expect(notification.slug).toBe(slugs.UPDATE)
+      expect(notification.body.sessionId).toBe('session-1')
+    })
+
+    it('should leave the registry once the session expires', async () => {
+      await relaySession.alarm()
+      expect(await getNotifications()).toEqual([{ slug: slugs.REMOVE, body: { sessionId: 'session-1' } }])
+    })
+
+    it('should carry on if the registry fails', async () => {
+      vi.spyOn(console, 'error').mockImplementationOnce(() => {})
+      registry.fetch.mockRejectedValueOnce(new Error('Unreachable'))
+      const response = await relaySession.fetch(new Request(`https://test.com/${slugs.CONNECT}?${searchParams.TOKEN}=${MOCK_PC_TOKEN}`, { headers }))
+      expect(response.status).toBe(StatusCodes.SWITCHING_PROTOCOLS)
+    })
+
+    describe('admin endpoint', () => {
+      const adminUrl = `https://test.com/${slugs.SESSION}/session-1/${slugs.ADMIN}`
+
+      it('should describe the session', async () => {
+        const observerSocket = createMockWebSocket()
+        mockSockets.set(observerSocket, [labels.OBSERVER_TYPE, `${websocketTags.ID}:0`])
+        const response = await relaySession.fetch(new Request(adminUrl))
+
+        expect(response.status).toBe(StatusCodes.OK)
+        expect(JSON.parse(response.body)).toEqual(expect.objectContaining({
+          sessionId: 'session-1',
+          pcConnected: false,
+          tablets: [],
+          observers: 1,
+          pendingTablets: 0
+        }))
+      })
+
+      it('should force-close the session and leave the registry', async () => {
+        const pcSocket = createMockWebSocket()
+        mockSockets.set(pcSocket, [labels.PC_TYPE, `${websocketTags.ID}:0`])
+        const response = await relaySession.fetch(new Request(adminUrl, { method: HttpMethods.DELETE }))
+
+        expect(response.status).toBe(StatusCodes.NO_CONTENT)
+        expect(pcSocket.close).toHaveBeenCalledWith(WsStatusCodes.NORMAL_CLOSURE, labels.SESSION_CLOSED_BY_REVOCATION)
+        expect(await getNotifications()).toEqual([{ slug: slugs.REMOVE, body: { sessionId: 'session-1' } }])
+        expect(await state.storage.get(labels.REVOKED_AT)).toEqual(expect.any(Number))
+      })
+
+      it('should report an unknown session as not found', async () => {
+        await state.storage.delete(labels.PC_CONNECTION_TOKEN)
+        const details = await relaySession.fetch(new Request(adminUrl))
+        const closure = await relaySession.fetch(new Request(adminUrl, { method: HttpMethods.DELETE }))
+        expect(details.status).toBe(StatusCodes.NOT_FOUND)
+        expect(closure.status).toBe(StatusCodes.NOT_FOUND)
+      })
+    })
   })
 })
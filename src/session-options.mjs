@@ -0,0 +1,163 @@
+import errorCodes from './constants/error-codes.mjs'
+import singletonPolicies from './constants/singleton-policies.mjs'
+import ValidationError from './errors/validation-error.mjs'
+import parseEnvInteger from './parse-env-integer.mjs'
+
+/**
+ * @typedef {object} SessionOptions
+ * @property {number} tabletTokenTtlSeconds How long each tablet join token stays valid after it is issued.
+ * @property {number} pcTokenTtlSeconds How long the PC token may be used to open new PC connections.
+ * @property {number} observerTokenTtlSeconds How long the observer token may be used to open new observer connections.
+ * @property {boolean} requireApproval Whether joining tablets wait for the PC to approve them.
+ * @property {string} singletonPolicy What happens when a second PC connects, one of `singletonPolicies`.
+ * @property {number} sessionExpirySeconds How long a session without any connected client lives on.
+ * @property {number} keepAliveIntervalSeconds How often the alarm wakes the session while clients are connected.
+ * @property {number} maxTablets How many tablets may be in the session at once, including those awaiting approval.
+ * @property {boolean} rotateTabletTokens Whether the tablet join token is replaced after every join.
+ * @property {boolean} recordTranscript Whether relayed messages are kept for `GET /session/:id/transcript`.
+ */
+
+/**
+ * @typedef {object} OptionSpec
+ * @property {'integer' | 'boolean' | 'enum'} type The type of value the option takes.
+ * @property {number} [min] The smallest accepted value of an integer option.
+ * @property {number} [max] The largest accepted value of an integer option.
+ * @property {Array<string>} [values] The accepted values of an enum option.
+ * @property {number | boolean | string} fallback The value used when the option is not requested.
+ */
+
+/**
+ * Reads the server-side bounds and defaults of every session option from the environment.
+ * @param {Record<string, string>} [env] The Worker environment.
+ * @returns {Record<keyof SessionOptions, OptionSpec>}
+ */
+const getOptionSpecs = (env) => {
+  const maxTokenTtlSeconds = parseEnvInteger(env?.MAX_TOKEN_TTL_SECONDS, 7 * 24 * 60 * 60)
+  const maxSessionExpirySeconds = parseEnvInteger(env?.MAX_SESSION_EXPIRY_SECONDS, 60 * 60)
+  const minKeepAliveIntervalSeconds = Math.max(parseEnvInteger(env?.MIN_KEEP_ALIVE_INTERVAL_SECONDS, 10), 1)
+  const maxKeepAliveIntervalSeconds = Math.max(parseEnvInteger(env?.MAX_KEEP_ALIVE_INTERVAL_SECONDS, 5 * 60), minKeepAliveIntervalSeconds)
+  const maxTablets = Math.max(parseEnvInteger(env?.MAX_TABLETS, 16), 1)
+  return {
+    tabletTokenTtlSeconds: {
+      type: 'integer',
+      min: 1,
+      max: maxTokenTtlSeconds,
+      fallback: Math.min(parseEnvInteger(env?.TABLET_TOKEN_TTL_SECONDS, 10 * 60), maxTokenTtlSeconds)
+    },
+    pcTokenTtlSeconds: {
+      type: 'integer',
+      min: 1,
+      max: maxTokenTtlSeconds,
+      fallback: Math.min(parseEnvInteger(env?.PC_TOKEN_TTL_SECONDS, 24 * 60 * 60), maxTokenTtlSeconds)
+    },
+    observerTokenTtlSeconds: {
+      type: 'integer',
+      min: 1,
+      max: maxTokenTtlSeconds,
+      fallback: Math.min(parseEnvInteger(env?.OBSERVER_TOKEN_TTL_SECONDS, 24 * 60 * 60), maxTokenTtlSeconds)
+    },
+    requireApproval: {
+      type: 'boolean',
+      fallback: env?.REQUIRE_TABLET_APPROVAL === 'true'
+    },
+    singletonPolicy: {
+      type: 'enum',
+      values: Object.values(singletonPolicies),
+      fallback: Object.values(singletonPolicies).includes(env?.PC_SINGLETON_POLICY)
+        ? env.PC_SINGLETON_POLICY
+        : singletonPolicies.REJECT
+    },
+    sessionExpirySeconds: {
+      type: 'integer',
+      min: 1,
+      max: maxSessionExpirySeconds,
+      fallback: Math.min(parseEnvInteger(env?.SESSION_EXPIRY_SECONDS, 5 * 60), maxSessionExpirySeconds)
+    },
+    keepAliveIntervalSeconds: {
+      type: 'integer',
+      min: minKeepAliveIntervalSeconds,
+      max: maxKeepAliveIntervalSeconds,
+      fallback: Math.min(
+        Math.max(parseEnvInteger(env?.KEEP_ALIVE_INTERVAL_SECONDS, 30), minKeepAliveIntervalSeconds),
+        maxKeepAliveIntervalSeconds
+      )
+    },
+    maxTablets: {
+      type: 'integer',
+      min: 1,
+      max: maxTablets,
+      fallback: maxTablets
+    },
+    rotateTabletTokens: {
+      type: 'boolean',
+      fallback: env?.ROTATE_TABLET_TOKENS !== 'false'
+    },
+    recordTranscript: {
+      type: 'boolean',
+      fallback: env?.RECORD_TRANSCRIPTS === 'true'
+    }
+  }
+}
+
+/**
+ * Checks a single requested option against its spec.
+ * @param {string} name The name of the option.
+ * @param {*} value The requested value.
+ * @param {OptionSpec} spec The spec of the option.
+ * @returns {string | undefined} A description of the problem, if the value is not acceptable.
+ */
+const findOptionViolation = (name, value, { type, min, max, values }) => {
+  switch (type) {
+    case 'integer':
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return `${name} must be an integer between ${min} and ${max}`
+      }
+      break
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return `${name} must be a boolean`
+      }
+      break
+    case 'enum':
+      if (!values.includes(value)) {
+        return `${name} must be one of ${values.join(', ')}`
+      }
+      break
+  }
+}
+
+/**
+ * Validates the options requested for a new session and fills in the defaults.
+ * Throws a ValidationError naming the first option that is unknown or out of bounds.
+ * @param {*} requested The options sent with `POST /session/initiate`, if any.
+ * @param {Record<string, string>} [env] The Worker environment.
+ * @returns {SessionOptions}
+ */
+const resolveSessionOptions = (requested = {}, env = undefined) => {
+  if (typeof requested !== 'object' || requested === null || Array.isArray(requested)) {
+    throw new ValidationError(errorCodes.INVALID_OPTIONS, 'Session options must be an object')
+  }
+  const specs = getOptionSpecs(env)
+
+  const unknownOption = Object.keys(requested).find(name => !Object.hasOwn(specs, name))
+  if (unknownOption !== undefined) {
+    throw new ValidationError(errorCodes.INVALID_OPTIONS, `Unknown session option: ${unknownOption}`)
+  }
+
+  return Object.fromEntries(Object.entries(specs).map(([name, spec]) => {
+    const value = requested[name]
+    if (value === undefined) {
+      return [name, spec.fallback]
+    }
+    const violation = findOptionViolation(name, value, spec)
+    if (violation) {
+      throw new ValidationError(errorCodes.INVALID_OPTIONS, violation)
+    }
+    return [name, value]
+  }))
+}
+
+export {
+  getOptionSpecs,
+  resolveSessionOptions
+}
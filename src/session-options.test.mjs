@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest'
+
+import errorCodes from './constants/error-codes.mjs'
+import { resolveSessionOptions } from './session-options.mjs'
+
+const catchValidationError = (fn) => {
+  try {
+    fn()
+  } catch (e) {
+    return e
+  }
+  throw new Error('Expected a ValidationError')
+}
+
+describe('resolveSessionOptions', () => {
+  it('should fill in the defaults when nothing is requested', () => {
+    expect(resolveSessionOptions()).toEqual({
+      tabletTokenTtlSeconds: 10 * 60,
+      pcTokenTtlSeconds: 24 * 60 * 60,
+      observerTokenTtlSeconds: 24 * 60 * 60,
+      requireApproval: false,
+      singletonPolicy: 'reject',
+      sessionExpirySeconds: 5 * 60,
+      keepAliveIntervalSeconds: 30,
+      maxTablets: 16,
+      rotateTabletTokens: true,
+      recordTranscript: false
+    })
+  })
+
+  it('should read the defaults and bounds from the environment', () => {
+    const env = {
+      TABLET_TOKEN_TTL_SECONDS: '120',
+      PC_TOKEN_TTL_SECONDS: '7200',
+      MAX_TOKEN_TTL_SECONDS: '3600',
+      REQUIRE_TABLET_APPROVAL: 'true',
+      PC_SINGLETON_POLICY: 'takeover',
+      SESSION_EXPIRY_SECONDS: '900',
+      MAX_SESSION_EXPIRY_SECONDS: '600',
+      KEEP_ALIVE_INTERVAL_SECONDS: '5',
+      MIN_KEEP_ALIVE_INTERVAL_SECONDS: '15',
+      MAX_TABLETS: '4',
+      ROTATE_TABLET_TOKENS: 'false',
+      RECORD_TRANSCRIPTS: 'true'
+    }
+    expect(resolveSessionOptions({}, env)).toEqual({
+      tabletTokenTtlSeconds: 120,
+      pcTokenTtlSeconds: 3600,
+      observerTokenTtlSeconds: 3600,
+      requireApproval: true,
+      singletonPolicy: 'takeover',
+      sessionExpirySeconds: 600,
+      keepAliveIntervalSeconds: 15,
+      maxTablets: 4,
+      rotateTabletTokens: false,
+      recordTranscript: true
+    })
+  })
+
+  it('should accept requested values within bounds', () => {
+    expect(resolveSessionOptions({ tabletTokenTtlSeconds: 30 }).tabletTokenTtlSeconds).toBe(30)
+    expect(resolveSessionOptions({ requireApproval: true }).requireApproval).toBe(true)
+    expect(resolveSessionOptions({ keepAliveIntervalSeconds: 60 }).keepAliveIntervalSeconds).toBe(60)
+    expect(resolveSessionOptions({ maxTablets: 1 }).maxTablets).toBe(1)
+    expect(resolveSessionOptions({ rotateTabletTokens: false }).rotateTabletTokens).toBe(false)
+  })
+
+  it.each([
+    ['a value above the maximum', { tabletTokenTtlSeconds: 7 * 24 * 60 * 60 + 1 }, 'tabletTokenTtlSeconds must be an integer between 1 and 604800'],
+    ['a zero lifetime', { pcTokenTtlSeconds: 0 }, 'pcTokenTtlSeconds must be an integer between 1 and 604800'],
+    ['a non-integer value', { tabletTokenTtlSeconds: '60' }, 'tabletTokenTtlSeconds must be an integer between 1 and 604800'],
+    ['a non-boolean flag', { requireApproval: 'yes' }, 'requireApproval must be a boolean'],
+    ['an unknown policy', { singletonPolicy: 'share' }, 'singletonPolicy must be one of reject, takeover'],
+    ['a session expiry above the maximum', { sessionExpirySeconds: 60 * 60 + 1 }, 'sessionExpirySeconds must be an integer between 1 and 3600'],
+    ['a keep-alive interval below the minimum', { keepAliveIntervalSeconds: 1 }, 'keepAliveIntervalSeconds must be an integer between 10 and 300'],
+    ['more tablets than the server allows', { maxTablets: 17 }, 'maxTablets must be an integer between 1 and 16'],
+    ['an unknown option', { tokenTtl: 60 }, 'Unknown session option: tokenTtl'],
+    ['a non-object body', [60], 'Session options must be an object']
+  ])('should reject %s', (_, requested, message) => {
+    const error = catchValidationError(() => resolveSessionOptions(requested))
+    expect(error.code).toBe(errorCodes.INVALID_OPTIONS)
+    expect(error.message).toBe(message)
+  })
+})
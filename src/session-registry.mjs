@@ -0,0 +1,144 @@
+import { DurableObject } from 'cloudflare:workers'
+import { getMimeType } from 'hono/utils/mime'
+import HttpMethods from 'http-methods-constants'
+import { ReasonPhrases, StatusCodes } from 'http-status-codes'
+
+import slugs from './constants/slugs.mjs'
+
+const SESSION_PREFIX = 'session:'
+
+/**
+ * @typedef {object} SessionEntry
+ * @property {string} sessionId The ID of the session.
+ * @property {number} createdAt When the session was created, in milliseconds since the epoch.
+ * @property {number} updatedAt When the session last reported a change, in milliseconds since the epoch.
+ * @property {boolean} pcConnected Whether a PC is connected.
+ * @property {number} tablets How many tablets are connected, including those awaiting approval.
+ * @property {number} observers How many observers are connected.
+ */
+
+/**
+ * Tells the SessionRegistry about a session.
+ * Failures are logged and otherwise ignored, as the registry is only for admins.
+ * @param {DurableObjectNamespace<SessionRegistry>} namespace The `SESSION_REGISTRY` binding.
+ * @param {string} slug The registry path, `slugs.REGISTER`, `slugs.UPDATE` or `slugs.REMOVE`.
+ * @param {{sessionId: string}} body What to tell the registry about the session.
+ * @param {string} logPrefix What the failure log line starts with, e.g. `[DO 1a2b3]`.
+ * @returns {Promise<boolean>} Whether the registry took the notification.
+ */
+export const notifySessionRegistry = async (namespace, slug, body, logPrefix) => {
+  try {
+    const registry = namespace.get(namespace.idFromName(slugs.SESSIONS))
+    const response = await registry.fetch(new Request(`https://${slugs.SESSIONS}/${slug}`, {
+      method: HttpMethods.POST,
+      headers: { 'Content-Type': getMimeType('json') },
+      body: JSON.stringify(body)
+    }))
+    if (!response.ok) {
+      throw new Error(`Session registry answered ${response.status}`)
+    }
+    return true
+  } catch (e) {
+    console.error(`${logPrefix} Failed to notify the session registry:`, e)
+    return false
+  }
+}
+
+/**
+ * A Durable Object keeping track of which sessions exist.
+ * POST `{sessionId, createdAt}` to `/register` when a session is created, POST a session's
+ * current state to `/update` whenever its connections change and POST `{sessionId}` to `/remove`
+ * once it expires or is revoked. GET `/sessions` lists the sessions, newest first, and
+ * GET `/sessions/<id>` describes one of them.
+ */
+export class SessionRegistry extends DurableObject {
+  /** @type {DurableObjectState} */
+  ctx
+
+  /** @type {string} */
+  shortId
+
+  /**
+   * Creates an instance of the SessionRegistry Durable Object.
+   * @param {DurableObjectState} ctx
+   * @param {object} env
+   */
+  constructor (ctx, env) {
+    super(ctx, env)
+    this.ctx = ctx
+    this.shortId = String(ctx.id).slice(-5)
+  }
+
+  /**
+   * Records a session, or the new state of a known one.
+   * @param {Partial<SessionEntry> & {sessionId: string}} update The fields to set.
+   * @returns {Promise<SessionEntry>}
+   */
+  async update (update) {
+    const key = `${SESSION_PREFIX}${update.sessionId}`
+    /** @type {SessionEntry} */
+    const entry = {
+      createdAt: Date.now(),
+      pcConnected: false,
+      tablets: 0,
+      observers: 0,
+      ...await this.ctx.storage.get(key),
+      ...update,
+      updatedAt: Date.now()
+    }
+    await this.ctx.storage.put(key, entry)
+    return entry
+  }
+
+  /**
+   * Lists every known session.
+   * @returns {Promise<Array<SessionEntry>>} The sessions, newest first.
+   */
+  async list () {
+    /** @type {Map<string, SessionEntry>} */
+    const entries = await this.ctx.storage.list({ prefix: SESSION_PREFIX })
+    return [...entries.values()].sort((a, b) => b.createdAt - a.createdAt)
+  }
+
+  /**
+   * Handles registrations, updates, removals and queries.
+   * @param {Request} request The incoming HTTP request. POST requests carry their parameters as JSON.
+   * @returns {Promise<Response>}
+   */
+  async fetch (request) {
+    const segments = new URL(request.url).pathname.split('/')
+    const pathEnd = segments.at(-1)
+
+    let result
+    if (request.method === HttpMethods.POST) {
+      const body = await request.json()
+      switch (pathEnd) {
+        case slugs.REGISTER:
+          result = await this.update({ sessionId: body.sessionId, createdAt: body.createdAt })
+          break
+        case slugs.UPDATE:
+          result = await this.update(body)
+          break
+        case slugs.REMOVE:
+          await this.ctx.storage.delete(`${SESSION_PREFIX}${body.sessionId}`)
+          console.debug(`[SR ${this.shortId}] Removed session ${body.sessionId}`)
+          return new Response(null, { status: StatusCodes.NO_CONTENT })
+        default:
+          return new Response(ReasonPhrases.NOT_FOUND, { status: StatusCodes.NOT_FOUND })
+      }
+    } else if (request.method === HttpMethods.GET && pathEnd === slugs.SESSIONS) {
+      result = await this.list()
+    } else if (request.method === HttpMethods.GET && segments.at(-2) === slugs.SESSIONS) {
+      result = await this.ctx.storage.get(`${SESSION_PREFIX}${pathEnd}`)
+      if (result === undefined) {
+        return new Response(ReasonPhrases.NOT_FOUND, { status: StatusCodes.NOT_FOUND })
+      }
+    } else {
+      return new Response(ReasonPhrases.NOT_FOUND, { status: StatusCodes.NOT_FOUND })
+    }
+    return new Response(JSON.stringify(result), {
+      status: StatusCodes.OK,
+      headers: { 'Content-Type': getMimeType('json') }
+    })
+  }
+}
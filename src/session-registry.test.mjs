@@ -0,0 +1,111 @@
+import HttpMethods from 'http-methods-constants'
+import { StatusCodes } from 'http-status-codes'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+import slugs from './constants/slugs.mjs'
+import { notifySessionRegistry, SessionRegistry } from './session-registry.mjs'
+
+vi.mock('cloudflare:workers', () => ({
+  DurableObject: class DurableObject {}
+}))
+
+const post = (slug, body) => new Request(`https://${slugs.SESSIONS}/${slug}`, {
+  method: HttpMethods.POST,
+  body: JSON.stringify(body)
+})
+
+describe('SessionRegistry Durable Object', () => {
+  let state
+  /** @type {SessionRegistry} */
+  let registry
+
+  beforeEach(() => {
+    const storage = new Map()
+    state = {
+      id: 'registry-id',
+      storage: {
+        get: vi.fn(key => storage.get(key)),
+        put: vi.fn((key, value) => storage.set(key, value)),
+        delete: vi.fn(key => storage.delete(key)),
+        list: vi.fn(({ prefix }) => new Map([...storage].filter(([key]) => key.startsWith(prefix))))
+      }
+    }
+    registry = new SessionRegistry(state, {})
+    vi.spyOn(console, 'debug').mockImplementation(() => {})
+  })
+
+  it('should register a new session with nobody connected', async () => {
+    const response = await registry.fetch(post(slugs.REGISTER, { sessionId: 'session-1', createdAt: 1000 }))
+
+    expect(response.status).toBe(StatusCodes.OK)
+    expect(await response.json()).toEqual({
+      sessionId: 'session-1',
+      createdAt: 1000,
+      updatedAt: expect.any(Number),
+      pcConnected: false,
+      tablets: 0,
+      observers: 0
+    })
+  })
+
+  it('should keep the connections a session reports', async () => {
+    await registry.fetch(post(slugs.REGISTER, { sessionId: 'session-1', createdAt: 1000 }))
+    await registry.fetch(post(slugs.UPDATE, { sessionId: 'session-1', pcConnected: true, tablets: 2 }))
+
+    const response = await registry.fetch(new Request(`https://relay/${slugs.ADMIN}/${slugs.SESSIONS}/session-1`))
+    expect(await response.json()).toEqual(expect.objectContaining({ createdAt: 1000, pcConnected: true, tablets: 2, observers: 0 }))
+  })
+
+  it('should list the sessions newest first', async () => {
+    await registry.fetch(post(slugs.REGISTER, { sessionId: 'older', createdAt: 1000 }))
+    await registry.fetch(post(slugs.REGISTER, { sessionId: 'newer', createdAt: 2000 }))
+
+    const response = await registry.fetch(new Request(`https://relay/${slugs.ADMIN}/${slugs.SESSIONS}`))
+    expect((await response.json()).map(entry => entry.sessionId)).toEqual(['newer', 'older'])
+  })
+
+  it('should forget a removed session', async () => {
+    await registry.fetch(post(slugs.REGISTER, { sessionId: 'session-1', createdAt: 1000 }))
+    const removal = await registry.fetch(post(slugs.REMOVE, { sessionId: 'session-1' }))
+    expect(removal.status).toBe(StatusCodes.NO_CONTENT)
+
+    const response = await registry.fetch(new Request(`https://relay/${slugs.ADMIN}/${slugs.SESSIONS}/session-1`))
+    expect(response.status).toBe(StatusCodes.NOT_FOUND)
+  })
+
+  it('should not know other paths', async () => {
+    const response = await registry.fetch(post('elsewhere', {}))
+    expect(response.status).toBe(StatusCodes.NOT_FOUND)
+  })
+})
+
+describe('notifySessionRegistry', () => {
+  /**
+   * @param {Function} fetch What the registry stub does with a request.
+   * @returns {{namespace: object, registry: {fetch: Function}}}
+   */
+  const createNamespace = (fetch) => {
+    const registry = { fetch: vi.fn(fetch) }
+    return { namespace: { idFromName: vi.fn(name => name), get: vi.fn(() => registry) }, registry }
+  }
+
+  it('should post the notification to the registry', async () => {
+    const { namespace, registry } = createNamespace(async () => new Response(null, { status: StatusCodes.NO_CONTENT }))
+
+    expect(await notifySessionRegistry(namespace, slugs.REGISTER, { sessionId: 'session-1' }, '[Test]')).toBe(true)
+    const [request] = registry.fetch.mock.calls[0]
+    expect(new URL(request.url).pathname).toBe(`/${slugs.REGISTER}`)
+    expect(await request.json()).toEqual({ sessionId: 'session-1' })
+  })
+
+  it('should log and swallow failures', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const unreachable = createNamespace(async () => { throw new Error('Unreachable') })
+    const failing = createNamespace(async () => new Response(null, { status: StatusCodes.INTERNAL_SERVER_ERROR }))
+
+    expect(await notifySessionRegistry(unreachable.namespace, slugs.REGISTER, { sessionId: 'session-1' }, '[Test]')).toBe(false)
+    expect(await notifySessionRegistry(failing.namespace, slugs.REGISTER, { sessionId: 'session-1' }, '[Test]')).toBe(false)
+    expect(error).toHaveBeenCalledTimes(2)
+    error.mockRestore()
+  })
+})
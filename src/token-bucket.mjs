@@ -0,0 +1,68 @@
+/**
+ * @typedef {object} TokenBucketState
+ * @property {number} tokens The tokens left in the bucket.
+ * @property {number} updatedAt When the tokens were last counted, in milliseconds since the epoch.
+ */
+
+/**
+ * A token bucket holding up to `capacity` tokens that refills at `refillPerSecond` tokens per second.
+ * Every allowed action takes one token.
+ */
+class TokenBucket {
+  /**
+   * @param {number} capacity The maximum number of tokens, which is also the largest allowed burst.
+   * @param {number} refillPerSecond How many tokens are regained per second.
+   * @param {TokenBucketState} [state] A previously saved state to resume from. A new bucket starts full.
+   */
+  constructor (capacity, refillPerSecond, state = undefined) {
+    this.capacity = capacity
+    this.refillPerSecond = refillPerSecond
+    this.tokens = state?.tokens ?? capacity
+    this.updatedAt = state?.updatedAt ?? Date.now()
+  }
+
+  /**
+   * Adds the tokens regained since the last update.
+   * @param {number} now The current time in milliseconds since the epoch.
+   */
+  refill (now) {
+    const elapsedSeconds = Math.max(now - this.updatedAt, 0) / 1000
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond)
+    this.updatedAt = now
+  }
+
+  /**
+   * Takes one token if there is one.
+   * @param {number} [now] The current time in milliseconds since the epoch.
+   * @returns {{allowed: boolean, retryAfter: number}} Whether the action is allowed and, if not, how many whole seconds until it would be.
+   */
+  take (now = Date.now()) {
+    this.refill(now)
+    if (this.tokens >= 1) {
+      this.tokens -= 1
+      return { allowed: true, retryAfter: 0 }
+    }
+    const retryAfter = this.refillPerSecond > 0
+      ? Math.ceil((1 - this.tokens) / this.refillPerSecond)
+      : Infinity
+    return { allowed: false, retryAfter }
+  }
+
+  /**
+   * How long until the bucket is full again, after which its state no longer matters.
+   * @returns {number} The time in milliseconds.
+   */
+  getTimeUntilFull () {
+    if (this.refillPerSecond <= 0) return Infinity
+    return Math.ceil((this.capacity - this.tokens) / this.refillPerSecond * 1000)
+  }
+
+  /**
+   * @returns {TokenBucketState} The state to save and later pass back to the constructor.
+   */
+  toJSON () {
+    return { tokens: this.tokens, updatedAt: this.updatedAt }
+  }
+}
+
+export default TokenBucket
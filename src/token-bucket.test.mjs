@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest'
+
+import TokenBucket from './token-bucket.mjs'
+
+describe('TokenBucket', () => {
+  it('should start full and allow a burst up to its capacity', () => {
+    const bucket = new TokenBucket(3, 1, { tokens: 3, updatedAt: 0 })
+    const results = Array.from({ length: 4 }, () => bucket.take(0).allowed)
+    expect(results).toEqual([true, true, true, false])
+  })
+
+  it('should tell how long to wait for the next token', () => {
+    const bucket = new TokenBucket(1, 0.5, { tokens: 0, updatedAt: 0 })
+    expect(bucket.take(0)).toEqual({ allowed: false, retryAfter: 2 })
+  })
+
+  it('should refill over time without exceeding its capacity', () => {
+    const bucket = new TokenBucket(2, 1, { tokens: 0, updatedAt: 0 })
+    bucket.take(10_000)
+    expect(bucket.toJSON()).toEqual({ tokens: 1, updatedAt: 10_000 })
+  })
+
+  it('should resume from a saved state', () => {
+    const saved = new TokenBucket(2, 1, { tokens: 2, updatedAt: 0 })
+    saved.take(0)
+    const restored = new TokenBucket(2, 1, saved.toJSON())
+    expect(restored.take(0).allowed).toBe(true)
+    expect(restored.take(0).allowed).toBe(false)
+  })
+
+  it('should tell how long until it is full again', () => {
+    const bucket = new TokenBucket(4, 2, { tokens: 1, updatedAt: 0 })
+    expect(bucket.getTimeUntilFull()).toBe(1500)
+  })
+})
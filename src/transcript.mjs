@@ -0,0 +1,131 @@
+/**
+ * @typedef {object} TranscriptEntry
+ * @property {number} seq The position of the entry in the transcript, starting at 1.
+ * @property {number} recordedAt When the message was relayed, in milliseconds since the epoch.
+ * @property {{type: string, id: number | null}} from The sender.
+ * @property {{type: string, id?: number} | Array<{type: string, id?: number}>} to The addressee or list of addressees as the sender gave it.
+ * @property {*} [payload] The relayed payload.
+ * @property {*} [encrypted] The relayed end-to-end encrypted envelope, in place of a payload.
+ */
+
+/**
+ * Rebuilds the addressee of a transcript row.
+ * @param {{recipient_type: string | null, recipient_id: number | null, recipients: string | null}} row The row.
+ * @returns {{type: string, id?: number} | Array<{type: string, id?: number}>}
+ */
+const readRecipient = ({ recipient_type: type, recipient_id: id, recipients }) => {
+  if (recipients !== null) {
+    return JSON.parse(recipients)
+  }
+  return id === null ? { type } : { type, id }
+}
+
+/**
+ * The relayed messages of a session, kept in the SQLite database of its Durable Object.
+ * Only the newest `maxEntries` messages are retained.
+ */
+class Transcript {
+  /**
+   * @param {SqlStorage} sql The SQL API of the Durable Object's storage.
+   * @param {number} maxEntries How many messages to keep. Older ones are dropped as new ones are recorded.
+   */
+  constructor (sql, maxEntries) {
+    this.sql = sql
+    this.maxEntries = maxEntries
+    this.hasTable = false
+  }
+
+  /**
+   * Creates the transcript table the first time it is needed.
+   */
+  ensureTable () {
+    if (this.hasTable) {
+      return
+    }
+    this.sql.exec(`CREATE TABLE IF NOT EXISTS transcript (
+      seq INTEGER PRIMARY KEY AUTOINCREMENT,
+      recorded_at INTEGER NOT NULL,
+      sender_type TEXT NOT NULL,
+      sender_id INTEGER,
+      recipient_type TEXT,
+      recipient_id INTEGER,
+      recipients TEXT,
+      encrypted INTEGER NOT NULL,
+      payload TEXT
+    )`)
+    this.hasTable = true
+  }
+
+  /**
+   * Records a relayed message and drops whatever falls outside the retention limit.
+   * @param {{type: string, id: number | null}} sender The client that sent the message.
+   * @param {{type: string, id?: number} | Array<{type: string, id?: number}>} recipient The addressee of the message.
+   *   A single addressee fills the recipient type and ID, a list of addressees is kept as JSON in `recipients`.
+   * @param {{payload?: *, encrypted?: *}} message The relayed payload or encrypted envelope.
+   * @param {number} [recordedAt] When the message was relayed, in milliseconds since the epoch.
+   */
+  record (sender, recipient, { payload, encrypted }, recordedAt = Date.now()) {
+    this.ensureTable()
+    const isEncrypted = encrypted !== undefined
+    const isList = Array.isArray(recipient)
+    this.sql.exec(
+      'INSERT INTO transcript (recorded_at, sender_type, sender_id, recipient_type, recipient_id, recipients, encrypted, payload) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      recordedAt,
+      sender.type,
+      sender.id,
+      isList ? null : recipient.type,
+      isList ? null : recipient.id ?? null,
+      isList ? JSON.stringify(recipient) : null,
+      isEncrypted ? 1 : 0,
+      JSON.stringify(isEncrypted ? encrypted : payload) ?? null
+    )
+    this.sql.exec(
+      'DELETE FROM transcript WHERE seq <= (SELECT MAX(seq) FROM transcript) - ?',
+      this.maxEntries
+    )
+  }
+
+  /**
+   * Reads a page of the transcript in the order the messages were relayed.
+   * @param {number} after Only entries after this sequence number are read, 0 for the start.
+   * @param {number} limit The most entries to read.
+   * @returns {Array<TranscriptEntry>}
+   */
+  read (after, limit) {
+    this.ensureTable()
+    return this.sql
+      .exec('SELECT * FROM transcript WHERE seq > ? ORDER BY seq LIMIT ?', after, limit)
+      .toArray()
+      .map(row => ({
+        seq: row.seq,
+        recordedAt: row.recorded_at,
+        from: { type: row.sender_type, id: row.sender_id },
+        to: readRecipient(row),
+        [row.encrypted ? 'encrypted' : 'payload']: row.payload === null ? undefined : JSON.parse(row.payload)
+      }))
+  }
+}
+
+/**
+ * Formats transcript entries as JSON Lines, one entry per line.
+ * @param {Array<TranscriptEntry>} entries The entries to format.
+ * @returns {string}
+ */
+const formatJsonLines = (entries) => entries.map(entry => `${JSON.stringify(entry)}\n`).join('')
+
+/**
+ * Formats the strokes among transcript entries as a plain-text log, one stroke per line.
+ * Other payloads and encrypted messages are left out.
+ * @param {Array<TranscriptEntry>} entries The entries to format.
+ * @returns {string}
+ */
+const formatStrokeLog = (entries) => entries
+  .filter(entry => entry.payload?.type === 'stroke')
+  .map(({ recordedAt, from, payload }) => `${new Date(recordedAt).toISOString()} ${from.type}:${from.id} ${payload.stroke}\n`)
+  .join('')
+
+export {
+  formatJsonLines,
+  formatStrokeLog,
+  Transcript
+}
@@ -0,0 +1,78 @@
+import { describe, expect, it, vi } from 'vitest'
+
+import { formatJsonLines, formatStrokeLog, Transcript } from './transcript.mjs'
+
+const createMockSql = (rows = []) => ({
+  exec: vi.fn(() => ({ toArray: () => rows }))
+})
+
+describe('Transcript', () => {
+  it('should create its table once', () => {
+    const sql = createMockSql()
+    const transcript = new Transcript(sql, 10)
+    transcript.read(0, 10)
+    transcript.read(0, 10)
+
+    const creates = sql.exec.mock.calls.filter(([query]) => query.startsWith('CREATE TABLE'))
+    expect(creates).toHaveLength(1)
+  })
+
+  it('should record a message and prune beyond the retention limit', () => {
+    const sql = createMockSql()
+    const transcript = new Transcript(sql, 10)
+    transcript.record({ type: 'tablet', id: 1 }, { type: 'pc' }, { payload: { type: 'stroke', stroke: 'KAT' } }, 1234)
+
+    expect(sql.exec).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO transcript'), 1234, 'tablet', 1, 'pc', null, null, 0, '{"type":"stroke","stroke":"KAT"}')
+    expect(sql.exec).toHaveBeenLastCalledWith(expect.stringContaining('DELETE FROM transcript'), 10)
+  })
+
+  it('should record an encrypted envelope without looking inside', () => {
+    const sql = createMockSql()
+    const transcript = new Transcript(sql, 10)
+    transcript.record({ type: 'pc', id: 0 }, { type: 'tablet', id: 2 }, { encrypted: 'c2VjcmV0' }, 1234)
+
+    expect(sql.exec).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO transcript'), 1234, 'pc', 0, 'tablet', 2, null, 1, '"c2VjcmV0"')
+  })
+
+  it('should read rows back as entries', () => {
+    const sql = createMockSql([
+      { seq: 3, recorded_at: 1234, sender_type: 'pc', sender_id: 0, recipient_type: 'tablet', recipient_id: 2, recipients: null, encrypted: 1, payload: '"c2VjcmV0"' }
+    ])
+    const transcript = new Transcript(sql, 10)
+
+    expect(transcript.read(2, 5)).toEqual([
+      { seq: 3, recordedAt: 1234, from: { type: 'pc', id: 0 }, to: { type: 'tablet', id: 2 }, encrypted: 'c2VjcmV0' }
+    ])
+    expect(sql.exec).toHaveBeenLastCalledWith(expect.stringContaining('SELECT'), 2, 5)
+  })
+
+  it('should keep a list of addressees as it was given', () => {
+    const to = [{ type: 'tablet', id: 1 }, { type: 'tablet', id: 3 }]
+    const sql = createMockSql([
+      { seq: 1, recorded_at: 1234, sender_type: 'pc', sender_id: 0, recipient_type: null, recipient_id: null, recipients: JSON.stringify(to), encrypted: 0, payload: '{}' }
+    ])
+    const transcript = new Transcript(sql, 10)
+    transcript.record({ type: 'pc', id: 0 }, to, { payload: {} }, 1234)
+
+    expect(sql.exec).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO transcript'), 1234, 'pc', 0, null, null, JSON.stringify(to), 0, '{}')
+    expect(transcript.read(0, 5)[0].to).toEqual(to)
+  })
+})
+
+describe('formatJsonLines', () => {
+  it('should put one entry on each line', () => {
+    const entries = [{ seq: 1 }, { seq: 2 }]
+    expect(formatJsonLines(entries)).toBe('{"seq":1}\n{"seq":2}\n')
+  })
+})
+
+describe('formatStrokeLog', () => {
+  it('should log only the strokes', () => {
+    const entries = [
+      { seq: 1, recordedAt: Date.UTC(2025, 0, 1), from: { type: 'tablet', id: 1 }, payload: { type: 'stroke', stroke: 'KAT' } },
+      { seq: 2, recordedAt: Date.UTC(2025, 0, 1), from: { type: 'pc', id: 0 }, payload: { type: 'translation', text: 'cat' } },
+      { seq: 3, recordedAt: Date.UTC(2025, 0, 1), from: { type: 'tablet', id: 1 }, encrypted: 'c2VjcmV0' }
+    ]
+    expect(formatStrokeLog(entries)).toBe('2025-01-01T00:00:00.000Z tablet:1 KAT\n')
+  })
+})